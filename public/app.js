@@ -1,24 +1,107 @@
 const joinForm = document.getElementById("join-form");
 const pseudoInput = document.getElementById("pseudo");
 const colorInput = document.getElementById("color");
-const gridSelect = document.getElementById("grid-size");
+const gridWidthInput = document.getElementById("grid-width");
+const gridHeightInput = document.getElementById("grid-height");
 const actionButtons = document.querySelectorAll("#action-buttons button");
 const playersListEl = document.getElementById("players-list");
 const gridEl = document.getElementById("grid");
-const logEl = document.getElementById("log");
+const chatListEl = document.getElementById("chat-list");
+const chatForm = document.getElementById("chat-form");
+const chatInput = document.getElementById("chat-input");
+const chatUnmuteBtn = document.getElementById("chat-unmute-btn");
 const gameStatusEl = document.getElementById("game-status");
 const turnStatusEl = document.getElementById("turn-status");
 const winnerStatusEl = document.getElementById("winner-status");
 const victoryModal = document.getElementById("victory-modal");
 const victoryTitleEl = document.getElementById("victory-title");
 const victoryMessageEl = document.getElementById("victory-message");
+const victoryRatingEl = document.getElementById("victory-rating");
 const resetGameBtn = document.getElementById("reset-game-btn");
+const roomsListEl = document.getElementById("rooms-list");
+const currentRoomEl = document.getElementById("current-room");
+const createRoomForm = document.getElementById("create-room-form");
+const roomNameInput = document.getElementById("room-name");
+const roomTurnDurationInput = document.getElementById("room-turn-duration");
+const roomRulesSelect = document.getElementById("room-rules");
+const roomDiagonalsInput = document.getElementById("room-diagonals");
+const roomTeamsInput = document.getElementById("room-teams");
+const roomFriendlyFireInput = document.getElementById("room-friendly-fire");
+const roomFogInput = document.getElementById("room-fog");
+const roomSpectatorDelaySelect = document.getElementById(
+  "room-spectator-delay"
+);
+const teamField = document.getElementById("team-field");
+const teamSelect = document.getElementById("team");
+const rulesListEl = document.getElementById("rules-list");
+const actionPointsEl = document.getElementById("action-points");
+const actionPointsLeftEl = document.getElementById("action-points-left");
+const endTurnBtn = document.getElementById("end-turn-btn");
+const leaveRoomBtn = document.getElementById("leave-room-btn");
+const historyListEl = document.getElementById("history-list");
+const replayBar = document.getElementById("replay-bar");
+const replayPrevBtn = document.getElementById("replay-prev");
+const replayPlayBtn = document.getElementById("replay-play");
+const replayNextBtn = document.getElementById("replay-next");
+const replayScrubber = document.getElementById("replay-scrubber");
+const replayTurnEl = document.getElementById("replay-turn");
+const replayExitBtn = document.getElementById("replay-exit");
+const replayFileInput = document.getElementById("replay-file");
+const watchReplayBtn = document.getElementById("watch-replay-btn");
+const downloadReplayLink = document.getElementById("download-replay-link");
+const botDifficultySelect = document.getElementById("bot-difficulty");
+const addBotBtn = document.getElementById("add-bot-btn");
+const hostControlsEl = document.getElementById("host-controls");
+const minPlayersSelect = document.getElementById("min-players");
+const maxPlayersSelect = document.getElementById("max-players");
+const startGameBtn = document.getElementById("start-game-btn");
+const mapSelect = document.getElementById("map-select");
+const lobbyHintEl = document.getElementById("lobby-hint");
+const leaderboardSortSelect = document.getElementById("leaderboard-sort");
+const leaderboardListEl = document.getElementById("leaderboard-list");
+const leaderboardPageEl = document.getElementById("leaderboard-page");
+const leaderboardPrevBtn = document.getElementById("leaderboard-prev");
+const leaderboardNextBtn = document.getElementById("leaderboard-next");
+const connectionStatusEl = document.getElementById("connection-status");
+
+// version du protocole WebSocket annoncée dans HELLO (server/protocol.js)
+const PROTOCOL_VERSION = 2;
+const REPLAY_FORMAT = "jeu-tp-web-service/replay";
+const REPLAY_VERSION = 4;
+const REPLAY_STEP_MS = 800;
+const LEADERBOARD_PAGE_SIZE = 10;
+// lignes gardées dans le fil des messages (chat et notices)
+const CHAT_MAX_ITEMS = 100;
+// reconnexion automatique : 1 s, 2 s, 4 s... plafonné à 30 s
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+// fermeture par le serveur pour version de protocole refusée (protocol.js)
+const CLOSE_UNSUPPORTED_PROTOCOL = 4000;
 
 let socket;
 let playerId = null;
 let selectedAction = null;
 let latestState = null;
 let victoryDisplayed = false;
+let currentRoom = null;
+let roomList = [];
+let historyMatchId = null;
+// { data, frame, timer } quand le lecteur de replay est ouvert
+let replay = null;
+let leaderboardPage = 1;
+// dernier RATING_UPDATE reçu : { matchId, ratings }
+let ratingUpdate = null;
+// cases jouables reçues pour notre tour : { turn, playerId, targets }
+let legalTargets = null;
+// notre identifiant d'auteur dans le chat et les auteurs masqués
+let chatId = null;
+let mutedChatIds = [];
+// version de latestState ; un patch d'une autre base impose un RESYNC_STATE
+let stateVersion = null;
+let resyncPending = false;
+// tentatives de reconnexion depuis la dernière poignée de main réussie
+let reconnectAttempts = 0;
+let reconnectTimer = null;
 
 const createPlayerIcon = () => {
   const wrapper = document.createElement("span");
@@ -44,15 +127,57 @@ const getWsUrl = () => {
   return base;
 };
 
+// Indicateur de connexion de l'en-tête : online, connecting ou offline
+const setConnectionStatus = (state, text) => {
+  if (!connectionStatusEl) return;
+  connectionStatusEl.dataset.state = state;
+  connectionStatusEl.textContent = text;
+};
+
+// Nouvelle tentative après un délai qui double à chaque échec
+const scheduleReconnect = () => {
+  const delay = Math.min(
+    RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts,
+    RECONNECT_MAX_DELAY_MS
+  );
+  reconnectAttempts += 1;
+  setConnectionStatus(
+    "offline",
+    `Hors ligne — nouvelle tentative dans ${Math.round(delay / 1000)} s`
+  );
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(connectSocket, delay);
+};
+
+// le navigateur signale le retour du réseau : inutile d'attendre le délai
+window.addEventListener("online", () => {
+  if (reconnectTimer) connectSocket();
+});
+
 function connectSocket() {
+  // le jeton est relu à chaque tentative : le serveur reconnaît le joueur
   const wsUrl = getWsUrl();
   console.log("[connectSocket] tentative de connexion à", wsUrl);
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  setConnectionStatus(
+    "connecting",
+    reconnectAttempts > 0 ? "Reconnexion…" : "Connexion…"
+  );
 
   socket = new WebSocket(wsUrl);
+  // une tentative de reconnexion qui échoue est signalée par l'indicateur,
+  // pas dans le fil
+  let opened = false;
 
   socket.addEventListener("open", () => {
     console.log("[connectSocket] WebSocket ouverte");
-    showLog("Connecté au serveur de jeu ✅", "success");
+    opened = true;
+    // après une coupure, on redemande le salon où l'on se trouvait ; un
+    // siège réservé côté serveur reste prioritaire
+    const payload = { protocolVersion: PROTOCOL_VERSION, client: "web" };
+    if (currentRoom) payload.roomId = currentRoom.id;
+    socket.send(JSON.stringify({ type: "HELLO", payload }));
   });
 
   socket.addEventListener("message", (event) => {
@@ -64,14 +189,24 @@ function connectSocket() {
     }
   });
 
-  socket.addEventListener("close", () => {
-    console.log("[connectSocket] WebSocket fermée");
-    showLog("Connexion au serveur fermée.", "error");
+  socket.addEventListener("close", (event) => {
+    console.log("[connectSocket] WebSocket fermée", event.code);
+    // l'état reçu n'est plus à jour : la prochaine connexion le renvoie entier
+    stateVersion = null;
+    resyncPending = false;
+    if (event.code === CLOSE_UNSUPPORTED_PROTOCOL) {
+      setConnectionStatus("offline", "Hors ligne — client obsolète");
+      return;
+    }
+    if (reconnectAttempts === 0) {
+      showLog("Connexion au serveur perdue, reconnexion en cours…", "error");
+    }
+    scheduleReconnect();
   });
 
   socket.addEventListener("error", (err) => {
     console.error("[connectSocket] Erreur WebSocket", err);
-    showLog("Erreur WebSocket.", "error");
+    if (opened) showLog("Erreur WebSocket.", "error");
   });
 }
 
@@ -133,6 +268,7 @@ const ensureAuthAndStart = async () => {
     // 5. On peut enfin démarrer la WebSocket + le plateau
     connectSocket();
     renderGrid();
+    loadLeaderboard();
   } catch (err) {
     console.error("[ensureAuthAndStart] Auth check failed", err);
     // En cas de gros souci réseau, on renvoie aussi vers le login
@@ -142,14 +278,147 @@ const ensureAuthAndStart = async () => {
 
 ensureAuthAndStart();
 
+const plural = (count, word) => `${count} ${word}${count > 1 ? "s" : ""}`;
+
+const BLOCKER_NAMES = {
+  player: "un joueur",
+  obstacle: "un obstacle",
+  wall: "un mur",
+  water: "de l'eau",
+  powerUp: "un bonus",
+};
+
+// Textes des refus du serveur, traduits à partir du code (server/errors.js et
+// server/protocol.js) ; le message du serveur sert de secours
+const ERROR_MESSAGES = {
+  // protocole
+  INVALID_JSON: () => "Message illisible envoyé au serveur.",
+  INVALID_MESSAGE: () => "Message mal formé envoyé au serveur.",
+  UNKNOWN_MESSAGE_TYPE: () => "Commande inconnue du serveur.",
+  INVALID_PAYLOAD: () => "Commande refusée : données invalides.",
+  HELLO_REQUIRED: () => "Connexion pas encore établie, patientez.",
+  HELLO_ALREADY_RECEIVED: () => "Connexion déjà établie.",
+  UNSUPPORTED_PROTOCOL_VERSION: () =>
+    "Version du client obsolète : rechargez la page.",
+  // salons
+  ROOM_NOT_FOUND: () => "Ce salon n'existe plus.",
+  ALREADY_IN_ROOM: () => "Vous êtes déjà dans ce salon.",
+  CANNOT_LEAVE_DEFAULT_ROOM: () => "Impossible de quitter le salon principal.",
+  NOT_IN_ROOM: () => "Rejoignez d'abord un salon.",
+  INVALID_ROOM_CONFIG: () => "Réglages du salon invalides.",
+  UNKNOWN_MAP: () => "Carte inconnue.",
+  INVALID_CHAT_MESSAGE: ({ maxLength }) =>
+    `Le message doit faire entre 1 et ${maxLength} caractères.`,
+  CANNOT_MUTE_SELF: () => "Vous ne pouvez pas vous masquer vous-même.",
+  // lobby
+  ALREADY_JOINED: () => "Vous participez déjà à la partie.",
+  NOT_A_PLAYER: () => "Seuls les joueurs peuvent agir.",
+  NOT_HOST: () => "Seul l'hôte du salon peut faire ça.",
+  GAME_ALREADY_STARTED: () => "La partie a déjà commencé.",
+  GAME_NOT_IN_PROGRESS: () => "Aucune partie en cours.",
+  GAME_NOT_FINISHED: () => "La partie n'est pas encore terminée.",
+  LOBBY_FULL: ({ maxPlayers }) =>
+    `La partie est complète (${plural(maxPlayers, "joueur")} maximum).`,
+  NOT_ENOUGH_PLAYERS: ({ minPlayers }) =>
+    `Il faut au moins ${plural(minPlayers, "joueur")} pour commencer.`,
+  INVALID_PSEUDO: () => "Pseudo invalide.",
+  INVALID_COLOR: () => "Couleur invalide.",
+  INVALID_GRID_SIZE: ({ min, max }) =>
+    `Taille de grille invalide (${min} à ${max} cases de côté).`,
+  INVALID_PLAYER_LIMITS: ({ min, max, playerCount, even, teamCapacity }) => {
+    if (playerCount) return `${plural(playerCount, "joueur")} déjà inscrits.`;
+    if (even) return "En équipes, le nombre de joueurs doit être pair.";
+    if (teamCapacity) return "Une équipe a déjà trop de joueurs pour cette limite.";
+    return `Le nombre de joueurs doit être compris entre ${min} et ${max}.`;
+  },
+  INVALID_DIFFICULTY: () => "Difficulté de bot inconnue.",
+  NOT_TEAM_MODE: () => "Ce salon ne se joue pas en équipes.",
+  UNKNOWN_TEAM: () => "Équipe inconnue.",
+  TEAM_FULL: () => "Cette équipe est complète.",
+  UNEVEN_TEAMS: () => "Les équipes doivent être équilibrées.",
+  // tour et actions
+  PLAYER_NOT_FOUND: () => "Joueur introuvable.",
+  PLAYER_DEFEATED: () => "Vous avez été éliminé.",
+  NOT_YOUR_TURN: () => "Ce n'est pas votre tour.",
+  ACTION_POINTS_DISABLED: () =>
+    "Finir son tour n'existe qu'en mode points d'action.",
+  NOT_ENOUGH_ACTION_POINTS: ({ cost, actionPointsLeft }) =>
+    `Pas assez de points d'action (${cost} requis, ${actionPointsLeft} restant).`,
+  OUT_OF_BOUNDS: () => "Case hors du plateau.",
+  NOT_STRAIGHT_LINE: () => "Il faut viser en ligne droite.",
+  OUT_OF_RANGE: ({ maxRange }) =>
+    `Trop loin : ${plural(maxRange, "case")} au maximum.`,
+  // sans blockedBy : bloqueur caché par le brouillard
+  PATH_BLOCKED: ({ blockedBy }) =>
+    blockedBy
+      ? `Trajet bloqué par ${BLOCKER_NAMES[blockedBy.type]}.`
+      : "Trajet bloqué.",
+  NO_TARGET: () => "Aucune cible dans cette direction.",
+  LINE_OF_FIRE_BLOCKED: ({ blockedBy }) =>
+    blockedBy ? `Tir bloqué par ${BLOCKER_NAMES[blockedBy.type]}.` : "Tir bloqué.",
+  FRIENDLY_FIRE: () =>
+    "Tir ami désactivé : un coéquipier est dans la ligne de tir.",
+  NO_OBSTACLES_LEFT: () => "Plus d'obstacles disponibles.",
+  NOT_ADJACENT: () => "La case doit être adjacente.",
+  CELL_OCCUPIED: ({ blockedBy }) =>
+    blockedBy
+      ? `Case déjà occupée par ${BLOCKER_NAMES[blockedBy.type]}.`
+      : "Case déjà occupée.",
+  ACTION_REJECTED: () => "Action refusée.",
+};
+
+const describeError = ({ code, message, details } = {}) =>
+  ERROR_MESSAGES[code]?.(details || {}) || message || "Action refusée.";
+
+const setFullState = ({ version, state } = {}) => {
+  latestState = state || latestState;
+  stateVersion = version ?? null;
+  resyncPending = false;
+  renderState();
+};
+
+const requestResync = () => {
+  if (resyncPending) return;
+  resyncPending = true;
+  sendMessage("RESYNC_STATE");
+};
+
+// Patch manqué ou illisible : on redemande l'état complet
+const handleStatePatch = (payload = {}) => {
+  if (resyncPending) return;
+  const next = applyVersionedPatch(
+    { state: latestState, version: stateVersion },
+    payload
+  );
+  if (!next) {
+    requestResync();
+    return;
+  }
+  latestState = next.state;
+  stateVersion = next.version;
+  renderState();
+};
+
 const routeMessage = ({ type, payload }) => {
   switch (type) {
     case "GAME_STATE_UPDATE":
-      latestState = payload;
-      renderState();
+      setFullState(payload);
+      break;
+    case "GAME_STATE_PATCH":
+      handleStatePatch(payload);
+      break;
+    case "WELCOME":
+      setConnectionStatus("online", "Connecté");
+      showLog(
+        reconnectAttempts > 0
+          ? "Reconnecté au serveur de jeu ✅"
+          : "Connecté au serveur de jeu ✅",
+        "success"
+      );
+      reconnectAttempts = 0;
       break;
     case "ACTION_INVALID":
-      showLog(payload?.message || "Action refusée.", "error");
+      showLog(describeError(payload), "error");
       break;
     case "JOINED_AS_PLAYER":
       playerId = payload.playerId;
@@ -161,7 +430,13 @@ const routeMessage = ({ type, payload }) => {
       showLog(payload?.message || "Vous observez la partie.");
       break;
     case "GAME_OVER":
-      if (payload?.winnerPseudo) {
+      loadLeaderboard();
+      if (payload?.winners?.length > 1) {
+        showLog(
+          `Partie terminée. Gagnants : ${payload.winners.join(", ")}`,
+          "success"
+        );
+      } else if (payload?.winnerPseudo) {
         showLog(
           `Partie terminée. Gagnant : ${payload.winnerPseudo}`,
           "success"
@@ -173,6 +448,45 @@ const routeMessage = ({ type, payload }) => {
     case "GAME_RESET":
       handleGameReset(payload);
       break;
+    case "ROOM_LIST":
+      roomList = payload?.rooms || [];
+      renderRooms();
+      break;
+    case "ROOM_JOINED":
+      handleRoomJoined(payload);
+      break;
+    case "REJOINED":
+      handleRejoined(payload);
+      break;
+    case "RATING_UPDATE":
+      ratingUpdate = payload;
+      renderVictoryRating();
+      loadLeaderboard();
+      break;
+    case "GAME_EVENT":
+      appendHistoryEvent(payload?.matchId, payload?.event);
+      break;
+    case "LEGAL_TARGETS":
+      legalTargets = payload;
+      if (!replay) renderGrid();
+      break;
+    case "CHAT_HISTORY":
+      handleChatHistory(payload);
+      break;
+    case "CHAT_MESSAGE":
+      appendChatMessage(payload);
+      break;
+    case "CHAT_MUTES":
+      handleChatMutes(payload);
+      break;
+    case "TURN_TIMEOUT":
+      showLog(
+        payload?.defeated
+          ? `${payload.pseudo} a dépassé le temps trop souvent : éliminé.`
+          : `Temps écoulé pour ${payload?.pseudo}, tour passé.`,
+        "error"
+      );
+      break;
     default:
       break;
   }
@@ -208,7 +522,9 @@ joinForm.addEventListener("submit", (event) => {
   sendMessage("JOIN_GAME", {
     pseudo,
     couleur: colorInput.value,
-    gridSize: Number(gridSelect.value),
+    gridWidth: Number(gridWidthInput.value),
+    gridHeight: Number(gridHeightInput.value),
+    team: teamSelect.value || undefined,
   });
 });
 
@@ -226,13 +542,21 @@ actionButtons.forEach((button) => {
     actionButtons.forEach((btn) =>
       btn.classList.toggle("active", btn === button)
     );
+    renderGrid();
+    if (
+      latestState.currentPlayerTurn === playerId &&
+      getSelectedTargets().size === 0
+    ) {
+      showLog(`Aucune case valide pour : ${button.textContent}.`, "error");
+      return;
+    }
     showLog(`Action sélectionnée : ${button.textContent}. Cliquez une case.`);
   });
 });
 
 gridEl.addEventListener("click", (event) => {
   const cell = event.target.closest(".cell");
-  if (!cell || !selectedAction) return;
+  if (!cell || !selectedAction || replay) return;
   if (!playerId) {
     showLog("Vous êtes spectateur.", "error");
     return;
@@ -251,6 +575,88 @@ gridEl.addEventListener("click", (event) => {
   });
 });
 
+if (createRoomForm) {
+  createRoomForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const rules = { preset: roomRulesSelect.value };
+    if (roomDiagonalsInput.checked) rules.diagonals = true;
+    if (roomTeamsInput.checked) {
+      rules.teamMode = true;
+      rules.friendlyFire = roomFriendlyFireInput.checked;
+    }
+    if (roomFogInput.checked) rules.fogOfWar = true;
+    sendMessage("CREATE_ROOM", {
+      name: roomNameInput.value.trim(),
+      turnDuration: Number(roomTurnDurationInput.value) || 0,
+      rules,
+      spectatorDelay: roomFogInput.checked
+        ? Number(roomSpectatorDelaySelect.value)
+        : 0,
+    });
+    roomNameInput.value = "";
+  });
+}
+
+if (endTurnBtn) {
+  endTurnBtn.addEventListener("click", () => {
+    sendMessage("END_TURN");
+  });
+}
+
+if (addBotBtn) {
+  addBotBtn.addEventListener("click", () => {
+    sendMessage("ADD_BOT", { difficulty: botDifficultySelect.value });
+  });
+}
+
+const sendPlayerLimits = () => {
+  sendMessage("SET_PLAYER_LIMITS", {
+    minPlayers: Number(minPlayersSelect.value),
+    maxPlayers: Number(maxPlayersSelect.value),
+  });
+};
+
+if (hostControlsEl) {
+  minPlayersSelect.addEventListener("change", sendPlayerLimits);
+  maxPlayersSelect.addEventListener("change", sendPlayerLimits);
+  startGameBtn.addEventListener("click", () => {
+    sendMessage("START_GAME");
+  });
+  mapSelect.addEventListener("change", () => {
+    sendMessage("SET_MAP", { mapId: mapSelect.value || null });
+  });
+}
+
+// Cartes proposées à l'hôte (server/maps)
+const loadMaps = async () => {
+  if (!mapSelect) return;
+  try {
+    const res = await fetch("/api/maps");
+    if (!res.ok) return;
+    const data = await res.json();
+    data.maps.forEach((map) => {
+      const option = document.createElement("option");
+      option.value = map.id;
+      option.textContent = `${map.name} (${map.width}×${map.height})`;
+      option.title = map.description;
+      mapSelect.appendChild(option);
+    });
+    if (latestState) {
+      mapSelect.value = latestState.mapId || "";
+    }
+  } catch (err) {
+    console.error("[loadMaps] Impossible de charger les cartes", err);
+  }
+};
+
+loadMaps();
+
+if (leaveRoomBtn) {
+  leaveRoomBtn.addEventListener("click", () => {
+    sendMessage("LEAVE_ROOM");
+  });
+}
+
 if (resetGameBtn) {
   resetGameBtn.addEventListener("click", () => {
     if (!socket || socket.readyState !== WebSocket.OPEN) {
@@ -263,17 +669,375 @@ if (resetGameBtn) {
   });
 }
 
+const renderRooms = () => {
+  if (!roomsListEl) return;
+  roomsListEl.innerHTML = "";
+  roomList.forEach((room) => {
+    const item = document.createElement("div");
+    item.className = `room-item${
+      currentRoom && room.id === currentRoom.id ? " current" : ""
+    }`;
+
+    const info = document.createElement("div");
+    info.className = "room-info";
+    const name = document.createElement("span");
+    name.className = "room-name";
+    name.textContent = room.name;
+    const meta = document.createElement("span");
+    meta.className = "room-meta";
+    meta.textContent = `${room.status} · ${room.playerCount}/${room.maxPlayers}${
+      room.teamMode ? " · équipes" : ""
+    }`;
+    info.append(name, meta);
+
+    const joinBtn = document.createElement("button");
+    joinBtn.type = "button";
+    joinBtn.textContent = "Entrer";
+    joinBtn.disabled = Boolean(currentRoom && room.id === currentRoom.id);
+    joinBtn.addEventListener("click", () => {
+      sendMessage("JOIN_ROOM", { roomId: room.id });
+    });
+
+    item.append(info, joinBtn);
+    roomsListEl.appendChild(item);
+  });
+};
+
+const handleRoomJoined = (payload = {}) => {
+  currentRoom = payload.room || null;
+  playerId = null;
+  selectedAction = null;
+  actionButtons.forEach((btn) => btn.classList.remove("active"));
+  enableJoinForm();
+  hideVictoryModal();
+  if (currentRoomEl) {
+    currentRoomEl.textContent = currentRoom
+      ? `Salon actuel : ${currentRoom.name}`
+      : "";
+  }
+  renderRooms();
+  loadHistory();
+  if (currentRoom) {
+    showLog(`Vous avez rejoint le salon « ${currentRoom.name} ».`);
+  }
+};
+
+const handleRejoined = (payload = {}) => {
+  currentRoom = payload.room || null;
+  playerId = payload.playerId;
+  if (currentRoomEl && currentRoom) {
+    currentRoomEl.textContent = `Salon actuel : ${currentRoom.name}`;
+  }
+  disableJoinForm();
+  setFullState(payload);
+  renderRooms();
+  loadHistory();
+  showLog("Reconnecté : vous reprenez votre place dans la partie.", "success");
+};
+
+const formatCell = (position) =>
+  position ? `(${position.x}, ${position.y})` : "";
+
+const POWER_UPS = {
+  heal: { icon: "💊", label: "Soin : +3 PV" },
+  obstacle: { icon: "🧰", label: "Obstacle supplémentaire" },
+  damage: { icon: "⚔️", label: "Dégâts +2 pendant 2 tours" },
+  shield: { icon: "🔰", label: "Bouclier jusqu’au tour suivant" },
+};
+
+const describeEvent = (event) => {
+  const actor = event.actorPseudo;
+  const eliminated = event.eliminations
+    .map((elimination) => ` ${elimination.pseudo} est éliminé.`)
+    .join("");
+  switch (event.actionType) {
+    case "MOVE": {
+      const pickup = event.powerUp
+        ? ` Bonus ramassé : ${POWER_UPS[event.powerUp]?.label ?? event.powerUp}.`
+        : "";
+      // brouillard de guerre : destination hors de vue
+      if (!event.target) return `${actor} se déplace hors de vue.${pickup}`;
+      return `${actor} se déplace en ${formatCell(event.target)}.${pickup}`;
+    }
+    case "ATTACK": {
+      const victim =
+        event.entityHit?.type === "player"
+          ? event.entityHit.pseudo
+          : "un obstacle";
+      const destroyed = event.obstaclesDestroyed.length
+        ? " Obstacle détruit."
+        : "";
+      return `${actor} attaque ${victim} (-${event.damage} PV).${destroyed}${eliminated}`;
+    }
+    case "PLACE_OBSTACLE":
+      return event.target
+        ? `${actor} pose un obstacle en ${formatCell(event.target)}.`
+        : `${actor} pose un obstacle hors de vue.`;
+    case "TURN_SKIPPED":
+      return `${actor} passe son tour (temps écoulé).${eliminated}`;
+    case "END_TURN":
+      return `${actor} termine son tour.`;
+    case "HAZARD":
+      return `${actor} subit la zone dangereuse (-${event.damage} PV).${eliminated}`;
+    case "FORFEIT":
+      return `${actor} abandonne la partie.`;
+    default:
+      return `${actor} : ${event.actionType}`;
+  }
+};
+
+const clearHistory = (matchId = null) => {
+  historyMatchId = matchId;
+  if (historyListEl) historyListEl.innerHTML = "";
+};
+
+const appendHistoryEvent = (matchId, event) => {
+  if (!historyListEl || !event) return;
+  if (matchId !== historyMatchId) {
+    clearHistory(matchId);
+  }
+  const item = document.createElement("li");
+  item.className = "history-item";
+  const turn = document.createElement("span");
+  turn.className = "history-turn";
+  turn.textContent = `T${event.turn}`;
+  item.append(turn, document.createTextNode(describeEvent(event)));
+  historyListEl.prepend(item);
+};
+
+// Les retardataires récupèrent le journal complet de la partie en cours
+const loadHistory = async () => {
+  if (!currentRoom) return;
+  clearHistory();
+  try {
+    const res = await fetch(
+      `/api/rooms/${encodeURIComponent(currentRoom.id)}/history`
+    );
+    if (!res.ok) return;
+    const data = await res.json();
+    clearHistory(data.matchId);
+    data.events.forEach((event) => appendHistoryEvent(data.matchId, event));
+  } catch (err) {
+    console.error("[loadHistory] Impossible de charger l'historique", err);
+  }
+};
+
+const getReplayUrl = () =>
+  currentRoom
+    ? `/api/rooms/${encodeURIComponent(currentRoom.id)}/replay`
+    : null;
+
+const startReplay = (data) => {
+  if (
+    !data ||
+    data.format !== REPLAY_FORMAT ||
+    data.version !== REPLAY_VERSION ||
+    !Array.isArray(data.frames) ||
+    data.frames.length === 0
+  ) {
+    showLog("Fichier de replay invalide ou version non supportée.", "error");
+    return;
+  }
+  stopReplayPlayback();
+  replay = { data, frame: 0, timer: null };
+  hideVictoryModal();
+  replayBar.hidden = false;
+  replayScrubber.max = data.frames.length - 1;
+  showReplayFrame(0);
+  showLog(`Replay chargé : ${data.actions.length} actions.`, "success");
+};
+
+const showReplayFrame = (index) => {
+  if (!replay) return;
+  const lastFrame = replay.data.frames.length - 1;
+  replay.frame = Math.min(Math.max(index, 0), lastFrame);
+  const frame = replay.data.frames[replay.frame];
+  renderPlayers(frame);
+  renderGrid(frame);
+  replayScrubber.value = replay.frame;
+  const action = replay.data.actions[replay.frame - 1];
+  replayTurnEl.textContent = action
+    ? `Tour ${action.turn} · ${replay.frame}/${lastFrame}`
+    : `Début · 0/${lastFrame}`;
+  if (replay.frame === lastFrame) {
+    stopReplayPlayback();
+  }
+};
+
+const stopReplayPlayback = () => {
+  if (!replay || !replay.timer) return;
+  clearInterval(replay.timer);
+  replay.timer = null;
+  replayPlayBtn.textContent = "▶";
+};
+
+const toggleReplayPlayback = () => {
+  if (!replay) return;
+  if (replay.timer) {
+    stopReplayPlayback();
+    return;
+  }
+  if (replay.frame === replay.data.frames.length - 1) {
+    showReplayFrame(0);
+  }
+  replayPlayBtn.textContent = "⏸";
+  replay.timer = setInterval(
+    () => showReplayFrame(replay.frame + 1),
+    REPLAY_STEP_MS
+  );
+};
+
+const exitReplay = () => {
+  stopReplayPlayback();
+  replay = null;
+  replayBar.hidden = true;
+  if (latestState) {
+    renderState();
+  } else {
+    renderGrid();
+  }
+};
+
+const loadRoomReplay = async () => {
+  const replayUrl = getReplayUrl();
+  if (!replayUrl) return;
+  try {
+    const res = await fetch(replayUrl);
+    if (!res.ok) {
+      showLog("Aucun replay disponible pour ce salon.", "error");
+      return;
+    }
+    startReplay(await res.json());
+  } catch (err) {
+    console.error("[loadRoomReplay] Impossible de charger le replay", err);
+    showLog("Impossible de charger le replay.", "error");
+  }
+};
+
+if (replayBar) {
+  replayPrevBtn.addEventListener("click", () => {
+    stopReplayPlayback();
+    showReplayFrame(replay.frame - 1);
+  });
+  replayNextBtn.addEventListener("click", () => {
+    stopReplayPlayback();
+    showReplayFrame(replay.frame + 1);
+  });
+  replayPlayBtn.addEventListener("click", toggleReplayPlayback);
+  replayScrubber.addEventListener("input", () => {
+    stopReplayPlayback();
+    showReplayFrame(Number(replayScrubber.value));
+  });
+  replayExitBtn.addEventListener("click", exitReplay);
+}
+
+if (replayFileInput) {
+  replayFileInput.addEventListener("change", async () => {
+    const [file] = replayFileInput.files;
+    if (!file) return;
+    try {
+      startReplay(JSON.parse(await file.text()));
+    } catch (err) {
+      showLog("Fichier de replay illisible.", "error");
+    }
+    replayFileInput.value = "";
+  });
+}
+
+if (watchReplayBtn) {
+  watchReplayBtn.addEventListener("click", loadRoomReplay);
+}
+
+const formatLeaderboardValue = (player, sort) => {
+  switch (sort) {
+    case "winRate":
+      return `${Math.round(player.winRate * 100)} %`;
+    case "rating":
+      return `${player.rating} Elo`;
+    default:
+      return `${player.wins} V / ${player.gamesPlayed} P`;
+  }
+};
+
+const loadLeaderboard = async () => {
+  if (!leaderboardListEl) return;
+  const sort = leaderboardSortSelect.value;
+  const params = new URLSearchParams({
+    sort,
+    page: leaderboardPage,
+    pageSize: LEADERBOARD_PAGE_SIZE,
+  });
+  try {
+    const res = await fetch(`/api/leaderboard?${params.toString()}`);
+    if (!res.ok) return;
+    const data = await res.json();
+    leaderboardListEl.innerHTML = "";
+    leaderboardListEl.start = (data.page - 1) * data.pageSize + 1;
+    data.players.forEach((player) => {
+      const item = document.createElement("li");
+      item.className = "leaderboard-item";
+      const name = document.createElement("span");
+      name.textContent = player.pseudo || "Anonyme";
+      const value = document.createElement("span");
+      value.className = "leaderboard-value";
+      value.textContent = formatLeaderboardValue(player, sort);
+      item.append(name, value);
+      leaderboardListEl.appendChild(item);
+    });
+    if (data.players.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "hint";
+      empty.textContent = "Aucune partie enregistrée.";
+      leaderboardListEl.appendChild(empty);
+    }
+    const pageCount = Math.max(1, Math.ceil(data.total / data.pageSize));
+    leaderboardPageEl.textContent = `${data.page} / ${pageCount}`;
+    leaderboardPrevBtn.disabled = data.page <= 1;
+    leaderboardNextBtn.disabled = data.page >= pageCount;
+  } catch (err) {
+    console.error("[loadLeaderboard] Impossible de charger le classement", err);
+  }
+};
+
+if (leaderboardListEl) {
+  leaderboardSortSelect.addEventListener("change", () => {
+    leaderboardPage = 1;
+    loadLeaderboard();
+  });
+  leaderboardPrevBtn.addEventListener("click", () => {
+    leaderboardPage = Math.max(1, leaderboardPage - 1);
+    loadLeaderboard();
+  });
+  leaderboardNextBtn.addEventListener("click", () => {
+    leaderboardPage += 1;
+    loadLeaderboard();
+  });
+}
+
 const renderState = () => {
-  if (!latestState) return;
+  if (!latestState || replay) return;
   renderPlayers();
   renderStatus();
   renderGrid();
+  renderChatPrompt();
+  colorChatAuthors();
   maybeShowVictoryModal();
 };
 
-const renderPlayers = () => {
+// Pendant une partie, les spectateurs n'écrivent qu'aux autres spectateurs
+const renderChatPrompt = () => {
+  if (!chatInput) return;
+  chatInput.placeholder =
+    !playerId && latestState.gameStatus === "InProgress"
+      ? "Message aux spectateurs"
+      : "Message au salon";
+};
+
+const TEAM_NAMES = { red: "Rouge", blue: "Bleue" };
+
+const renderPlayers = (state = latestState) => {
   playersListEl.innerHTML = "";
-  latestState.players.forEach((player) => {
+  state.players.forEach((player) => {
     const wrapper = document.createElement("div");
     wrapper.className = `player-item${
       player.status === "Defeated" ? " defeated" : ""
@@ -291,10 +1055,44 @@ const renderPlayers = () => {
 
     info.append(colorDot, name);
 
+    if (state.gameStatus === "Lobby" && player.id === state.hostId) {
+      const hostIcon = document.createElement("i");
+      hostIcon.className = "fa-solid fa-crown host-icon";
+      hostIcon.title = "Hôte du salon";
+      info.appendChild(hostIcon);
+    }
+
+    if (player.team) {
+      const teamBadge = document.createElement("span");
+      teamBadge.className = "team-badge";
+      teamBadge.style.backgroundColor = player.teamColor;
+      teamBadge.textContent = TEAM_NAMES[player.team] || player.team;
+      info.appendChild(teamBadge);
+      if (state.gameStatus === "Lobby" && player.id === playerId) {
+        const switchBtn = document.createElement("button");
+        switchBtn.type = "button";
+        switchBtn.className = "team-switch";
+        switchBtn.textContent = "Changer";
+        switchBtn.title = "Passer dans l’autre équipe";
+        switchBtn.addEventListener("click", () => {
+          sendMessage("SET_TEAM", {
+            team: player.team === "red" ? "blue" : "red",
+          });
+        });
+        info.appendChild(switchBtn);
+      }
+    }
+
+    if (player.bot) {
+      const botIcon = document.createElement("i");
+      botIcon.className = "fa-solid fa-robot bot-icon";
+      botIcon.title = "Joueur contrôlé par le serveur";
+      info.appendChild(botIcon);
+    }
+
     if (
-      latestState.gameStatus === "Finished" &&
-      latestState.winnerId &&
-      player.id === latestState.winnerId
+      state.gameStatus === "Finished" &&
+      (state.winnerIds || [state.winnerId]).includes(player.id)
     ) {
       const winnerIcon = document.createElement("span");
       winnerIcon.className = "winner-icon";
@@ -317,14 +1115,24 @@ const renderPlayers = () => {
     shieldIcon.setAttribute("aria-hidden", "true");
     shieldStat.append(
       shieldIcon,
-      document.createTextNode(player.obstaclesRestants)
+      // stock adverse masqué par le brouillard de guerre
+      document.createTextNode(player.obstaclesRestants ?? "?")
     );
 
     stats.append(hpStat, shieldStat);
 
+    (player.effects || []).forEach((effect) => {
+      const effectStat = document.createElement("span");
+      effectStat.className = `stat effect effect-${effect.type}`;
+      const powerUp = POWER_UPS[effect.type];
+      effectStat.textContent = `${powerUp?.icon ?? effect.type} ${effect.turnsLeft}`;
+      effectStat.title = `${powerUp?.label ?? effect.type} (tours restants : ${effect.turnsLeft})`;
+      stats.appendChild(effectStat);
+    });
+
     if (
-      player.id === latestState.currentPlayerTurn &&
-      latestState.gameStatus === "InProgress"
+      player.id === state.currentPlayerTurn &&
+      state.gameStatus === "InProgress"
     ) {
       const turnStat = document.createElement("span");
       turnStat.className = "stat turn";
@@ -334,6 +1142,12 @@ const renderPlayers = () => {
     if (player.id === playerId) {
       name.textContent += " (toi)";
     }
+    if (player.connected === false && player.status === "Active") {
+      const offlineStat = document.createElement("span");
+      offlineStat.className = "stat offline";
+      offlineStat.textContent = "Déconnecté";
+      stats.appendChild(offlineStat);
+    }
 
     wrapper.append(info, stats);
     playersListEl.appendChild(wrapper);
@@ -342,12 +1156,35 @@ const renderPlayers = () => {
 
 const renderStatus = () => {
   if (!latestState) return;
+  if (addBotBtn) {
+    addBotBtn.disabled = latestState.gameStatus !== "Lobby";
+  }
+  renderLobbyControls();
+  if (teamField) {
+    teamField.hidden = !latestState.rules?.teamMode;
+  }
+  renderRules(latestState.rules);
+  renderActionPoints();
   gameStatusEl.textContent = `Statut : ${latestState.gameStatus}`;
   const currentPlayer = latestState.players.find(
     (player) => player.id === latestState.currentPlayerTurn
   );
   if (currentPlayer && latestState.gameStatus === "InProgress") {
-    turnStatusEl.textContent = `Tour de ${currentPlayer.pseudo}`;
+    const { round, rules } = latestState;
+    const roundLabel = rules?.maxRounds
+      ? `${round}/${rules.maxRounds}`
+      : `${round}`;
+    turnStatusEl.textContent = `Tour de ${currentPlayer.pseudo} (tour de table ${roundLabel})`;
+    if (latestState.spectatorDelay) {
+      // direct différé : le compte à rebours n'a plus de sens
+      turnStatusEl.textContent += ` — différé de ${latestState.spectatorDelay} tours`;
+    } else {
+      const countdown = document.createElement("span");
+      countdown.id = "turn-countdown";
+      countdown.className = "turn-countdown";
+      turnStatusEl.appendChild(countdown);
+      renderTurnCountdown();
+    }
   } else {
     turnStatusEl.textContent = "";
   }
@@ -357,25 +1194,224 @@ const renderStatus = () => {
     : "";
 };
 
-const renderGrid = () => {
+const RULE_LABELS = [
+  ["playerHp", "PV de départ"],
+  ["moveRange", "Déplacement max"],
+  ["attackRange", "Portée d’attaque"],
+  ["attackDamage", "Dégâts"],
+  ["attackCost", "Coût d’une attaque (PV)"],
+  ["obstacleStock", "Obstacles (grille 9×9)"],
+  ["obstacleHp", "PV d’un obstacle"],
+  ["actionPoints", "Points d’action par tour"],
+  ["diagonals", "Diagonales"],
+  ["healAmount", "Soin par tour (case ✚)"],
+  ["highGroundBonus", "Portée en hauteur (⛰)"],
+  ["powerUpInterval", "Bonus tous les … tours de table"],
+  ["suddenDeathRound", "Mort subite dès le tour de table"],
+  ["maxRounds", "Tours de table max"],
+  ["teamMode", "Équipes"],
+  ["friendlyFire", "Tir ami"],
+  ["fogOfWar", "Brouillard de guerre"],
+  ["visionRange", "Rayon de vision"],
+];
+
+// Règles de la partie en cours, telles qu'envoyées par le serveur
+const renderRules = (rules) => {
+  if (!rulesListEl) return;
+  rulesListEl.innerHTML = "";
+  if (!rules) return;
+  const title = document.createElement("dt");
+  title.className = "rules-preset";
+  title.textContent = `Règles : ${rules.preset}`;
+  rulesListEl.appendChild(title);
+  RULE_LABELS.forEach(([key, label]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const value = document.createElement("dd");
+    if (key === "actionPoints" && !rules[key]) {
+      value.textContent = "1 action";
+    } else if (key === "highGroundBonus" && rules[key] !== undefined) {
+      value.textContent = `+${rules[key]}`;
+    } else if (key === "powerUpInterval" && rules[key] === 0) {
+      value.textContent = "aucun";
+    } else if (key === "suddenDeathRound" && rules[key] === 0) {
+      value.textContent = "jamais";
+    } else if (key === "suddenDeathRound" && rules[key]) {
+      value.textContent = `${rules[key]} (−${rules.hazardDamage} PV, tous les ${rules.shrinkInterval})`;
+    } else if (key === "maxRounds" && rules[key] === 0) {
+      value.textContent = "illimité";
+    } else if (
+      ["diagonals", "teamMode", "friendlyFire", "fogOfWar"].includes(key)
+    ) {
+      value.textContent = rules[key] ? "oui" : "non";
+    } else {
+      value.textContent = rules[key] ?? "—";
+    }
+    rulesListEl.append(term, value);
+  });
+};
+
+// Mode points d'action : budget restant et coût de chaque action
+const renderActionPoints = () => {
+  if (!actionPointsEl) return;
+  const { rules, actionPointsLeft, gameStatus, currentPlayerTurn } =
+    latestState;
+  const enabled = Boolean(rules && rules.actionPoints > 0);
+  actionPointsEl.hidden = !enabled || gameStatus !== "InProgress";
+  actionButtons.forEach((button) => {
+    const label = button.dataset.label || button.textContent;
+    button.dataset.label = label;
+    const cost = enabled ? rules.actionCosts?.[button.dataset.action] : null;
+    button.textContent = cost ? `${label} (${cost} PA)` : label;
+  });
+  if (!enabled) return;
+  const current = latestState.players.find((p) => p.id === currentPlayerTurn);
+  const owner =
+    currentPlayerTurn === playerId ? "Tes points" : `Points de ${current?.pseudo}`;
+  actionPointsLeftEl.textContent = `${owner} : ${actionPointsLeft ?? 0}/${
+    rules.actionPoints
+  }`;
+  endTurnBtn.disabled = currentPlayerTurn !== playerId;
+};
+
+// Réglages visibles par l'hôte tant que la partie n'a pas commencé
+const renderLobbyControls = () => {
+  if (!hostControlsEl) return;
+  const { gameStatus, hostId, players, minPlayers, maxPlayers } = latestState;
+  const inLobby = gameStatus === "Lobby";
+  const isHost = inLobby && Boolean(playerId) && hostId === playerId;
+  hostControlsEl.hidden = !isHost;
+  minPlayersSelect.value = String(minPlayers);
+  maxPlayersSelect.value = String(maxPlayers);
+  mapSelect.value = latestState.mapId || "";
+  startGameBtn.disabled = players.length < minPlayers;
+
+  if (!inLobby) {
+    lobbyHintEl.textContent = "";
+  } else if (isHost) {
+    lobbyHintEl.textContent = `${players.length}/${maxPlayers} joueurs. Lancement possible dès ${minPlayers}.`;
+  } else {
+    const host = players.find((player) => player.id === hostId);
+    lobbyHintEl.textContent = host
+      ? `${players.length}/${maxPlayers} joueurs. ${host.pseudo} lancera la partie.`
+      : `${players.length}/${maxPlayers} joueurs. Le premier inscrit devient l'hôte.`;
+  }
+};
+
+const renderTurnCountdown = () => {
+  const countdown = document.getElementById("turn-countdown");
+  if (!countdown) return;
+  if (!latestState?.turnEndsAt || latestState.gameStatus !== "InProgress") {
+    countdown.textContent = "";
+    return;
+  }
+  const remaining = Math.max(
+    0,
+    Math.ceil((latestState.turnEndsAt - Date.now()) / 1000)
+  );
+  countdown.textContent = `${remaining} s`;
+  countdown.classList.toggle("urgent", remaining <= 10);
+};
+
+setInterval(renderTurnCountdown, 500);
+
+/**
+ * Cases valides pour l'action sélectionnée, indexées par "x-y". Vide hors de
+ * notre tour ou si les cibles reçues datent d'un tour précédent.
+ */
+const getSelectedTargets = () => {
+  const targets = new Map();
+  if (
+    !selectedAction ||
+    !legalTargets ||
+    !latestState ||
+    latestState.gameStatus !== "InProgress" ||
+    latestState.currentPlayerTurn !== playerId ||
+    legalTargets.playerId !== playerId ||
+    legalTargets.turn !== latestState.turn
+  ) {
+    return targets;
+  }
+  (legalTargets.targets[selectedAction] || []).forEach((target) => {
+    targets.set(`${target.x}-${target.y}`, target);
+  });
+  return targets;
+};
+
+const describeHit = (hit) => {
+  if (hit.type === "obstacle") return "un obstacle";
+  const victim = latestState.players.find((player) => player.id === hit.id);
+  return victim ? victim.pseudo : "un joueur";
+};
+
+// Survol d'une case d'attaque : on surligne l'entité réellement touchée
+const previewAttack = (cell) => {
+  gridEl
+    .querySelectorAll(".attack-preview")
+    .forEach((el) => el.classList.remove("attack-preview"));
+  if (!cell || selectedAction !== "ATTACK" || replay) return;
+  const key = `${cell.dataset.x}-${cell.dataset.y}`;
+  const target = getSelectedTargets().get(key);
+  if (!target || !target.hit) return;
+  const { x, y } = target.hit.position;
+  const hitCell = gridEl.querySelector(`.cell[data-x="${x}"][data-y="${y}"]`);
+  if (hitCell) hitCell.classList.add("attack-preview");
+};
+
+gridEl.addEventListener("mouseover", (event) => {
+  previewAttack(event.target.closest(".cell"));
+});
+
+gridEl.addEventListener("mouseleave", () => previewAttack(null));
+
+const TERRAIN_TILES = {
+  wall: { icon: "🧱", label: "Mur : infranchissable, arrête les attaques" },
+  water: { icon: "🌊", label: "Eau : infranchissable, les attaques passent" },
+  heal: { icon: "✚", label: "Soin : PV rendus en début de tour" },
+  high: { icon: "⛰", label: "Hauteur : portée d’attaque augmentée" },
+};
+
+// Mort subite : les hazardLevel anneaux extérieurs sont dangereux
+const isHazardCell = (state, x, y) =>
+  Math.min(x, y, state.gridWidth - 1 - x, state.gridHeight - 1 - y) <
+  (state.hazardLevel || 0);
+
+const renderGrid = (state = latestState) => {
   gridEl.innerHTML = "";
-  if (!latestState) return;
-  gridEl.style.setProperty("--grid-size", latestState.gridSize);
+  if (!state) return;
+  const targets = state === latestState ? getSelectedTargets() : new Map();
+  gridEl.style.setProperty("--grid-cols", state.gridWidth);
+  gridEl.style.setProperty("--grid-rows", state.gridHeight);
 
   const playersMap = new Map();
-  latestState.players.forEach((player) => {
+  state.players.forEach((player) => {
     if (player.position) {
       playersMap.set(`${player.position.x}-${player.position.y}`, player);
     }
   });
 
   const obstacleMap = new Map();
-  latestState.obstacles.forEach((obstacle) => {
+  state.obstacles.forEach((obstacle) => {
     obstacleMap.set(`${obstacle.position.x}-${obstacle.position.y}`, obstacle);
   });
 
-  for (let y = 0; y < latestState.gridSize; y += 1) {
-    for (let x = 0; x < latestState.gridSize; x += 1) {
+  const powerUpMap = new Map();
+  (state.powerUps || []).forEach((powerUp) => {
+    powerUpMap.set(`${powerUp.position.x}-${powerUp.position.y}`, powerUp);
+  });
+
+  const terrainMap = new Map();
+  (state.terrain || []).forEach((tile) => {
+    terrainMap.set(`${tile.position.x}-${tile.position.y}`, tile.type);
+  });
+
+  // brouillard de guerre : seules les cases de visibleCells sont vues
+  const visibleSet = state.visibleCells
+    ? new Set(state.visibleCells.map((cell) => `${cell.x}-${cell.y}`))
+    : null;
+
+  for (let y = 0; y < state.gridHeight; y += 1) {
+    for (let x = 0; x < state.gridWidth; x += 1) {
       const key = `${x}-${y}`;
       const cell = document.createElement("button");
       cell.type = "button";
@@ -383,10 +1419,29 @@ const renderGrid = () => {
       cell.dataset.x = x;
       cell.dataset.y = y;
 
+      if (isHazardCell(state, x, y)) {
+        cell.classList.add("hazard");
+      }
+
+      if (visibleSet && !visibleSet.has(key)) {
+        cell.classList.add("fogged");
+      }
+
+      const terrain = terrainMap.get(key);
+      if (terrain) {
+        cell.classList.add(`terrain-${terrain}`);
+        cell.dataset.terrainIcon = TERRAIN_TILES[terrain].icon;
+        cell.title = TERRAIN_TILES[terrain].label;
+      }
+
       if (playersMap.has(key)) {
         const occupant = playersMap.get(key);
         cell.classList.add("player");
         cell.style.backgroundColor = occupant.couleur;
+        if (occupant.teamColor) {
+          cell.classList.add("team-member");
+          cell.style.setProperty("--team-color", occupant.teamColor);
+        }
         const icon = createPlayerIcon();
 
         const label = document.createElement("span");
@@ -394,7 +1449,7 @@ const renderGrid = () => {
         label.textContent = "";
 
         cell.append(icon, label);
-        if (occupant.id === latestState.currentPlayerTurn) {
+        if (occupant.id === state.currentPlayerTurn) {
           cell.classList.add("current");
         }
         if (occupant.status === "Defeated") {
@@ -413,6 +1468,28 @@ const renderGrid = () => {
 
         cell.append(icon, hpLabel);
         cell.title = `Obstacle (${obstacle.pdv} PDV)`;
+      } else if (powerUpMap.has(key)) {
+        const powerUp = powerUpMap.get(key);
+        cell.classList.add("power-up");
+        const icon = document.createElement("span");
+        icon.className = "cell-icon power-up-icon";
+        icon.textContent = POWER_UPS[powerUp.type]?.icon ?? "?";
+        cell.appendChild(icon);
+        cell.title = `Bonus : ${POWER_UPS[powerUp.type]?.label ?? powerUp.type}`;
+      } else if (terrain) {
+        const icon = document.createElement("span");
+        icon.className = "cell-icon terrain-icon";
+        icon.textContent = TERRAIN_TILES[terrain].icon;
+        cell.appendChild(icon);
+      }
+
+      if (targets.has(key)) {
+        const target = targets.get(key);
+        cell.classList.add("legal-target");
+        if (target.hit) {
+          cell.classList.add("legal-attack");
+          cell.title = `Attaque : touche ${describeHit(target.hit)}`;
+        }
       }
 
       gridEl.appendChild(cell);
@@ -433,15 +1510,28 @@ const showVictoryModal = () => {
   if (!victoryModal || !latestState) return;
   const hasWinner = Boolean(latestState.winner);
   if (victoryTitleEl) {
-    victoryTitleEl.textContent = hasWinner
-      ? `${latestState.winner} remporte la partie !`
-      : "Match nul";
+    const { winningTeam, winner } = latestState;
+    if (!hasWinner) {
+      victoryTitleEl.textContent = "Match nul";
+    } else if (winningTeam) {
+      victoryTitleEl.textContent = `L’équipe ${TEAM_NAMES[winningTeam] || winningTeam} (${winner}) remporte la partie !`;
+    } else {
+      victoryTitleEl.textContent = `${winner} remporte la partie !`;
+    }
   }
   if (victoryMessageEl) {
+    const tiebreak =
+      latestState.endReason === "roundLimit"
+        ? "Limite de tours atteinte : départage aux PV, puis aux dégâts infligés. "
+        : "";
     victoryMessageEl.textContent = hasWinner
-      ? "Bravo ! Relancez une partie pour continuer."
-      : "Aucun vainqueur. Cliquez sur le bouton pour relancer.";
+      ? `${tiebreak}Bravo ! Relancez une partie pour continuer.`
+      : `${tiebreak}Aucun vainqueur. Cliquez sur le bouton pour relancer.`;
+  }
+  if (downloadReplayLink) {
+    downloadReplayLink.href = getReplayUrl() || "#";
   }
+  renderVictoryRating();
   victoryModal.classList.add("visible");
   victoryModal.setAttribute("aria-hidden", "false");
   victoryDisplayed = true;
@@ -451,6 +1541,23 @@ const showVictoryModal = () => {
   }
 };
 
+// Le nouvel Elo arrive après GAME_OVER, une fois la partie enregistrée
+const renderVictoryRating = () => {
+  if (!victoryRatingEl) return;
+  const own =
+    ratingUpdate &&
+    latestState &&
+    ratingUpdate.matchId === latestState.matchId &&
+    ratingUpdate.ratings.find((rating) => rating.playerId === playerId);
+  if (!own) {
+    victoryRatingEl.textContent = "";
+    return;
+  }
+  const sign = own.delta >= 0 ? "+" : "";
+  victoryRatingEl.textContent = `Classement Elo : ${own.rating} (${sign}${own.delta})`;
+  victoryRatingEl.dataset.trend = own.delta >= 0 ? "up" : "down";
+};
+
 const hideVictoryModal = () => {
   if (!victoryModal) return;
   victoryModal.classList.remove("visible");
@@ -464,6 +1571,7 @@ const handleGameReset = (payload = {}) => {
   actionButtons.forEach((btn) => btn.classList.remove("active"));
   enableJoinForm();
   hideVictoryModal();
+  clearHistory();
   if (resetGameBtn) {
     resetGameBtn.disabled = false;
     resetGameBtn.textContent = "Nouvelle partie";
@@ -471,11 +1579,115 @@ const handleGameReset = (payload = {}) => {
   showLog(payload.message || "Nouvelle partie disponible.", "success");
 };
 
+// Chat et notices système partagent le même fil, du plus ancien au plus récent
+const appendChatItem = (item) => {
+  if (!chatListEl) return;
+  chatListEl.appendChild(item);
+  while (chatListEl.children.length > CHAT_MAX_ITEMS) {
+    chatListEl.firstElementChild.remove();
+  }
+  chatListEl.scrollTop = chatListEl.scrollHeight;
+};
+
 const showLog = (message, level = "info") => {
   if (!message) return;
-  logEl.textContent = message;
-  logEl.dataset.level = level;
+  const item = document.createElement("li");
+  item.className = "chat-item chat-system";
+  item.dataset.level = level;
+  item.textContent = message;
+  appendChatItem(item);
+};
+
+// Couleur de l'auteur tirée de la liste des joueurs de la partie affichée
+const colorChatAuthors = () => {
+  if (!chatListEl) return;
+  chatListEl.querySelectorAll(".chat-author[data-player-id]").forEach((el) => {
+    const author = latestState?.players.find(
+      (player) => player.id === el.dataset.playerId
+    );
+    el.style.color = author ? author.couleur : "";
+  });
+};
+
+const appendChatMessage = (message) => {
+  if (!message || mutedChatIds.includes(message.author.chatId)) return;
+  const item = document.createElement("li");
+  item.className = `chat-item chat-message chat-${message.channel}`;
+  item.dataset.chatId = message.author.chatId;
+
+  const author = document.createElement("span");
+  author.className = "chat-author";
+  author.textContent =
+    message.channel === "spectators"
+      ? `👁 ${message.author.pseudo}`
+      : message.author.pseudo;
+  if (message.author.playerId) {
+    author.dataset.playerId = message.author.playerId;
+  } else {
+    author.title = "Spectateur";
+  }
+
+  const text = document.createElement("span");
+  text.className = "chat-text";
+  text.textContent = message.text;
+  item.append(author, text);
+
+  if (message.author.chatId !== chatId) {
+    const muteBtn = document.createElement("button");
+    muteBtn.type = "button";
+    muteBtn.className = "chat-mute";
+    muteBtn.textContent = "🔇";
+    muteBtn.title = `Masquer les messages de ${message.author.pseudo}`;
+    muteBtn.addEventListener("click", () => {
+      sendMessage("MUTE_USER", { chatId: message.author.chatId });
+    });
+    item.appendChild(muteBtn);
+  }
+
+  appendChatItem(item);
+  colorChatAuthors();
+};
+
+// Arrivée dans un salon : les messages repartent de l'historique du salon,
+// les notices système (connexion, reconnexion…) restent affichées
+const handleChatHistory = (payload = {}) => {
+  chatId = payload.chatId || chatId;
+  if (chatListEl) {
+    chatListEl.querySelectorAll(".chat-message").forEach((item) => item.remove());
+  }
+  (payload.messages || []).forEach(appendChatMessage);
+};
+
+const handleChatMutes = (payload = {}) => {
+  mutedChatIds = payload.mutedChatIds || [];
+  if (chatListEl) {
+    chatListEl.querySelectorAll(".chat-message").forEach((item) => {
+      if (mutedChatIds.includes(item.dataset.chatId)) item.remove();
+    });
+  }
+  if (chatUnmuteBtn) {
+    chatUnmuteBtn.hidden = mutedChatIds.length === 0;
+    chatUnmuteBtn.textContent = `Rétablir les auteurs masqués (${mutedChatIds.length})`;
+  }
 };
 
+if (chatForm) {
+  chatForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text) return;
+    sendMessage("CHAT_MESSAGE", { text });
+    chatInput.value = "";
+  });
+}
+
+if (chatUnmuteBtn) {
+  chatUnmuteBtn.addEventListener("click", () => {
+    mutedChatIds.forEach((mutedId) => {
+      sendMessage("MUTE_USER", { chatId: mutedId, muted: false });
+    });
+  });
+}
+
 /*connectSocket();
 renderGrid();*/
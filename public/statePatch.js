@@ -0,0 +1,67 @@
+// public/statePatch.js
+// Application des GAME_STATE_PATCH (JSON Patch, voir server/statePatch.js).
+// Chargé avant app.js dans le navigateur, et exporté pour les tests Node.
+
+// Segments d'un chemin JSON Pointer (RFC 6901) : "" désigne la racine
+const parsePointer = (path) =>
+  path === ""
+    ? []
+    : path
+        .slice(1)
+        .split("/")
+        .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+// Rejoue un JSON Patch (add, remove, replace) sur une copie de l'état
+const applyStatePatch = (state, patch) => {
+  let root = structuredClone(state);
+  patch.forEach(({ op, path, value }) => {
+    const segments = parsePointer(path);
+    if (segments.length === 0) {
+      if (op === "remove") throw new Error("Suppression de la racine.");
+      root = structuredClone(value);
+      return;
+    }
+    const key = segments.pop();
+    const parent = segments.reduce((node, segment) => {
+      if (node === null || typeof node !== "object" || !(segment in node)) {
+        throw new Error(`Chemin introuvable : ${path}`);
+      }
+      return node[segment];
+    }, root);
+    if (Array.isArray(parent)) {
+      const index = key === "-" ? parent.length : Number(key);
+      if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+        throw new Error(`Indice invalide : ${path}`);
+      }
+      if (op === "add") parent.splice(index, 0, value);
+      else if (op === "remove") parent.splice(index, 1);
+      else parent[index] = value;
+    } else if (op === "remove") {
+      delete parent[key];
+    } else {
+      parent[key] = value;
+    }
+  });
+  return root;
+};
+
+/**
+ * Applique un GAME_STATE_PATCH à l'état courant `{ state, version }`. Un
+ * patch ne s'applique qu'à la version sur laquelle il a été calculé.
+ * @returns {{ state: object, version: number } | null} null si le patch part
+ *   d'une autre version (message manqué) ou ne s'applique pas : le client
+ *   doit alors envoyer RESYNC_STATE
+ */
+const applyVersionedPatch = (current, { baseVersion, version, patch } = {}) => {
+  if (!current.state || baseVersion !== current.version) return null;
+  try {
+    return { state: applyStatePatch(current.state, patch || []), version };
+  } catch (error) {
+    console.error("[applyVersionedPatch] Patch illisible", error);
+    return null;
+  }
+};
+
+if (typeof module !== "undefined") {
+  module.exports = { applyStatePatch, applyVersionedPatch };
+}
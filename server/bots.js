@@ -0,0 +1,210 @@
+// server/bots.js
+const BOT_DIFFICULTIES = ["easy", "medium", "hard"];
+const BOT_COLORS = ["#A855F7", "#14B8A6", "#F97316", "#EAB308", "#EC4899"];
+// En dessous de ce seuil de PDV, le bot difficile privilégie la fuite
+const LOW_HP_THRESHOLD = 4;
+const MEDIUM_NOISE = 40;
+
+/**
+ * Toutes les actions que le joueur peut jouer maintenant
+ * (GameStateManager#getLegalActions). Une attaque ne vise que la case de
+ * l'entité touchée, les cases vides derrière donnant le même coup.
+ */
+const listLegalActions = (game, player) => {
+  const { MOVE, ATTACK, PLACE_OBSTACLE } = game.getLegalActions(player.id);
+  const toAction = (actionType) => ({ x, y }) => ({
+    actionType,
+    target: { x, y },
+  });
+  const attacks = ATTACK.filter(
+    ({ x, y, hit }) => hit.position.x === x && hit.position.y === y
+  ).map(({ x, y, hit }) => ({
+    actionType: "ATTACK",
+    target: { x, y },
+    hit: {
+      type: hit.type,
+      entity:
+        hit.type === "player"
+          ? game.state.players.find((p) => p.id === hit.id)
+          : game.getObstacleAt(hit.position),
+    },
+  }));
+
+  return [
+    ...MOVE.map(toAction("MOVE")),
+    ...attacks,
+    ...PLACE_OBSTACLE.map(toAction("PLACE_OBSTACLE")),
+  ];
+};
+
+// Ligne de tir dégagée entre deux cases (le bot lui-même est ignoré)
+const hasLineOfFire = (game, from, to, ignoreId) => {
+  if (!game.isStraightLine(from, to)) return false;
+  if (game.distance(from, to) > game.getAttackRange(from)) return false;
+  const dx = Math.sign(to.x - from.x);
+  const dy = Math.sign(to.y - from.y);
+  let x = from.x + dx;
+  let y = from.y + dy;
+  while (x !== to.x || y !== to.y) {
+    const occupant = game.getPlayerAt({ x, y });
+    if (
+      (occupant && occupant.id !== ignoreId) ||
+      game.getObstacleAt({ x, y }) ||
+      game.getTerrainAt({ x, y }) === "wall"
+    ) {
+      return false;
+    }
+    x += dx;
+    y += dy;
+  }
+  return true;
+};
+
+const getEnemies = (game, player) =>
+  game.state.players.filter(
+    (p) =>
+      p.id !== player.id &&
+      p.status === "Active" &&
+      p.position &&
+      !game.areAllies(player, p)
+  );
+
+const countThreats = (game, player, position, enemies) =>
+  enemies.filter((enemy) =>
+    hasLineOfFire(game, enemy.position, position, player.id)
+  ).length;
+
+const nearestEnemyDistance = (game, position, enemies) =>
+  enemies.reduce(
+    (min, enemy) => Math.min(min, game.distance(position, enemy.position)),
+    Infinity
+  );
+
+// cases de soin quand le bot est blessé, hauteurs pour leur portée ;
+// jamais l'anneau dangereux de la mort subite
+const scoreTerrain = (game, player, position) => {
+  if (game.isHazard(position)) return -40;
+  const terrain = game.getTerrainAt(position);
+  if (terrain === "heal" && player.pdv < game.rules.playerHp) return 15;
+  if (terrain === "high") return 10;
+  return 0;
+};
+
+// quitter la zone dangereuse, en urgence si elle serait fatale
+const scoreHazardEscape = (game, player, target) => {
+  if (!game.isHazard(player.position) || game.isHazard(target)) return 0;
+  return player.pdv <= game.rules.hazardDamage ? 150 : 40;
+};
+
+// bonus au sol : le soin ne vaut que blessé
+const scorePowerUp = (game, player, position) => {
+  const powerUp = game.getPowerUpAt(position);
+  if (!powerUp) return 0;
+  if (powerUp.type === "heal" && player.pdv >= game.rules.playerHp) return 0;
+  return 25;
+};
+
+/**
+ * Note une action : attaques (surtout létales), replis quand les PDV sont
+ * bas, placements offensifs, et murs d'obstacles sur une ligne de tir.
+ */
+const scoreAction = (game, player, action, enemies) => {
+  // Face à des ennemis aussi affaiblis, fuir ne ferait que bloquer la partie
+  const lowHp =
+    player.pdv <= LOW_HP_THRESHOLD &&
+    enemies.some((enemy) => enemy.pdv > player.pdv);
+
+  if (action.actionType === "ATTACK") {
+    // avec un coût d'attaque, ne jamais s'éliminer soi-même
+    if (game.rules.attackCost >= player.pdv) return -500;
+    if (action.hit.type === "obstacle") {
+      return action.hit.entity.ownerId === player.id ? -50 : 5;
+    }
+    const victim = action.hit.entity;
+    // tir ami possible mais jamais voulu
+    if (game.areAllies(player, victim)) return -300;
+    const damage = game.getDamageAgainst(player, action.hit);
+    // un bouclier annule l'attaque : mieux vaut faire autre chose
+    if (damage === 0) return -10;
+    const lethal = victim.pdv <= damage ? 200 : 0;
+    return 100 + lethal + (game.rules.playerHp - victim.pdv) * 5;
+  }
+
+  if (action.actionType === "MOVE") {
+    const threats = countThreats(game, player, action.target, enemies);
+    const opportunities = enemies.filter((enemy) =>
+      hasLineOfFire(game, action.target, enemy.position, player.id)
+    ).length;
+    const distance = nearestEnemyDistance(game, action.target, enemies);
+    const terrain =
+      scoreTerrain(game, player, action.target) +
+      scorePowerUp(game, player, action.target) +
+      scoreHazardEscape(game, player, action.target);
+    return lowHp
+      ? 20 - threats * 60 + distance * 4 + terrain * 2
+      : opportunities * 30 - threats * 20 - distance * 2 + terrain;
+  }
+
+  // PLACE_OBSTACLE : bloquer la ligne d'un ennemi qui nous vise
+  const blocksThreat = enemies.some(
+    (enemy) =>
+      hasLineOfFire(game, enemy.position, player.position, player.id) &&
+      game.distance(enemy.position, action.target) <
+        game.distance(enemy.position, player.position) &&
+      (action.target.x === player.position.x ||
+        action.target.y === player.position.y) &&
+      (enemy.position.x === action.target.x ||
+        enemy.position.y === action.target.y)
+  );
+  return blocksThreat ? (lowHp ? 150 : 60) : -20;
+};
+
+const pickRandom = (items) => items[Math.floor(Math.random() * items.length)];
+
+/**
+ * Choisit l'action d'un bot : aléatoire (easy), heuristique bruitée
+ * (medium) ou meilleure heuristique (hard). Retourne null si rien n'est jouable.
+ * Sous le brouillard, le bot décide sur le plateau tel qu'il le voit
+ * (GameStateManager#withPlayerVision), comme un joueur humain.
+ */
+const chooseBotAction = (game, playerId, difficulty = "easy") => {
+  if (!game.usesFog()) return decideBotAction(game, playerId, difficulty);
+  return game.withPlayerVision(playerId, () =>
+    decideBotAction(game, playerId, difficulty)
+  );
+};
+
+const decideBotAction = (game, playerId, difficulty) => {
+  const player = game.requireActivePlayer(playerId);
+  const actions = listLegalActions(game, player);
+  if (actions.length === 0) return null;
+
+  let chosen;
+  if (difficulty === "easy") {
+    chosen = pickRandom(actions);
+  } else {
+    const enemies = getEnemies(game, player);
+    const noise = difficulty === "medium" ? MEDIUM_NOISE : 0;
+    chosen = actions
+      .map((action) => ({
+        action,
+        score:
+          scoreAction(game, player, action, enemies) + Math.random() * noise,
+      }))
+      .sort((a, b) => b.score - a.score)[0].action;
+  }
+
+  return { actionType: chosen.actionType, target: chosen.target };
+};
+
+const pickBotColor = (game) => {
+  const used = new Set(game.state.players.map((p) => p.couleur));
+  return BOT_COLORS.find((color) => !used.has(color)) || BOT_COLORS[0];
+};
+
+module.exports = {
+  BOT_DIFFICULTIES,
+  chooseBotAction,
+  listLegalActions,
+  pickBotColor,
+};
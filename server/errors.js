@@ -0,0 +1,81 @@
+// server/errors.js
+// Codes des refus envoyés dans ACTION_INVALID, tous déclarés ici, et
+// GameError, l'erreur des règles du jeu : un code stable que les clients (et
+// les bots) peuvent tester, des détails structurés, et un message lisible
+// gardé comme texte de secours. Le client traduit à partir du code.
+
+const ERROR_CODES = {
+  // protocole (protocol.js) : trame illisible ou hors schéma, poignée de main
+  INVALID_JSON: "INVALID_JSON",
+  INVALID_MESSAGE: "INVALID_MESSAGE",
+  UNKNOWN_MESSAGE_TYPE: "UNKNOWN_MESSAGE_TYPE",
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  HELLO_REQUIRED: "HELLO_REQUIRED",
+  HELLO_ALREADY_RECEIVED: "HELLO_ALREADY_RECEIVED",
+  UNSUPPORTED_PROTOCOL_VERSION: "UNSUPPORTED_PROTOCOL_VERSION",
+  // salons et rôle de la socket
+  ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+  ALREADY_IN_ROOM: "ALREADY_IN_ROOM",
+  CANNOT_LEAVE_DEFAULT_ROOM: "CANNOT_LEAVE_DEFAULT_ROOM",
+  NOT_IN_ROOM: "NOT_IN_ROOM",
+  ALREADY_JOINED: "ALREADY_JOINED",
+  NOT_A_PLAYER: "NOT_A_PLAYER",
+  GAME_NOT_IN_PROGRESS: "GAME_NOT_IN_PROGRESS",
+  GAME_NOT_FINISHED: "GAME_NOT_FINISHED",
+  INVALID_DIFFICULTY: "INVALID_DIFFICULTY",
+  CANNOT_MUTE_SELF: "CANNOT_MUTE_SELF",
+  // lobby
+  LOBBY_FULL: "LOBBY_FULL",
+  INVALID_PSEUDO: "INVALID_PSEUDO",
+  INVALID_COLOR: "INVALID_COLOR",
+  INVALID_GRID_SIZE: "INVALID_GRID_SIZE",
+  GAME_ALREADY_STARTED: "GAME_ALREADY_STARTED",
+  NOT_HOST: "NOT_HOST",
+  INVALID_PLAYER_LIMITS: "INVALID_PLAYER_LIMITS",
+  NOT_ENOUGH_PLAYERS: "NOT_ENOUGH_PLAYERS",
+  // équipes
+  NOT_TEAM_MODE: "NOT_TEAM_MODE",
+  UNKNOWN_TEAM: "UNKNOWN_TEAM",
+  TEAM_FULL: "TEAM_FULL",
+  UNEVEN_TEAMS: "UNEVEN_TEAMS",
+  // tour
+  PLAYER_NOT_FOUND: "PLAYER_NOT_FOUND",
+  PLAYER_DEFEATED: "PLAYER_DEFEATED",
+  NOT_YOUR_TURN: "NOT_YOUR_TURN",
+  ACTION_POINTS_DISABLED: "ACTION_POINTS_DISABLED",
+  NOT_ENOUGH_ACTION_POINTS: "NOT_ENOUGH_ACTION_POINTS",
+  // actions
+  OUT_OF_BOUNDS: "OUT_OF_BOUNDS",
+  NOT_STRAIGHT_LINE: "NOT_STRAIGHT_LINE",
+  OUT_OF_RANGE: "OUT_OF_RANGE",
+  PATH_BLOCKED: "PATH_BLOCKED",
+  NO_TARGET: "NO_TARGET",
+  LINE_OF_FIRE_BLOCKED: "LINE_OF_FIRE_BLOCKED",
+  FRIENDLY_FIRE: "FRIENDLY_FIRE",
+  NO_OBSTACLES_LEFT: "NO_OBSTACLES_LEFT",
+  NOT_ADJACENT: "NOT_ADJACENT",
+  CELL_OCCUPIED: "CELL_OCCUPIED",
+  // hors règles du jeu : salon, carte, chat
+  INVALID_ROOM_CONFIG: "INVALID_ROOM_CONFIG",
+  UNKNOWN_MAP: "UNKNOWN_MAP",
+  INVALID_CHAT_MESSAGE: "INVALID_CHAT_MESSAGE",
+  // toute autre erreur inattendue
+  ACTION_REJECTED: "ACTION_REJECTED",
+};
+
+class GameError extends Error {
+  /**
+   * @param {string} code une valeur de ERROR_CODES
+   * @param {string} message texte de secours
+   * @param {object} [details] données utiles au client (portée max, entité
+   *   qui bloque...)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "GameError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { ERROR_CODES, GameError };
@@ -1,212 +1,1083 @@
 const { randomUUID } = require("crypto");
 
+const { resolveRules } = require("./rules");
+const { createSeed, nextRandom } = require("./random");
+const { ERROR_CODES, GameError } = require("./errors");
+
+const MIN_PLAYERS = 2;
 const MAX_PLAYERS = 4;
-const PLAYER_HP = 10;
-const OBSTACLE_HP = 2;
-const OBSTACLE_STOCK = 3;
-const ATTACK_COST = 0;
-const ATTACK_DAMAGE = 2;
-const MOVE_RANGE = 3;
-const ATTACK_RANGE = 2;
-const ALLOWED_GRID_SIZES = [9];
+const MIN_GRID_SIZE = 7;
+const MAX_GRID_SIZE = 15;
+const DEFAULT_GRID_SIZE = 9;
+const DEFAULT_MAX_MISSED_TURNS = 3;
+
+// Équipes du mode rules.teamMode, dans l'ordre de jeu
+const TEAMS = [
+  { id: "red", name: "Équipe rouge", couleur: "#EF4444" },
+  { id: "blue", name: "Équipe bleue", couleur: "#3B82F6" },
+];
+
+// Bonus ramassables (voir rules.powerUpInterval)
+const POWER_UP_TYPES = ["heal", "obstacle", "damage", "shield"];
+const MAX_POWER_UPS = 3;
+const POWER_UP_HEAL = 3;
+const DAMAGE_BOOST = 2;
+// durées en tours du joueur : le bouclier le protège jusqu'à son tour suivant
+const EFFECT_TURNS = { damage: 2, shield: 1 };
 
 const toInt = (value) => {
   const parsed = parseInt(value, 10);
   return Number.isNaN(parsed) ? null : parsed;
 };
 
+const getTeam = (teamId) => TEAMS.find((team) => team.id === teamId) || null;
+
+const formatCells = (count) => `${count} case${count > 1 ? "s" : ""}`;
+
+const CELL_OCCUPIED_MESSAGES = {
+  player: "Case déjà occupée.",
+  obstacle: "Case déjà occupée.",
+  wall: "Impossible de poser un obstacle sur un mur ou dans l'eau.",
+  water: "Impossible de poser un obstacle sur un mur ou dans l'eau.",
+  powerUp: "Un bonus occupe déjà cette case.",
+};
+
+// entité touchée ou bloquante, telle que décrite dans les détails d'erreur
+const describeEntity = ({ type, entity }) => ({
+  type,
+  id: entity.id,
+  position: { ...entity.position },
+});
+
+/**
+ * Taille de plateau { width, height } à partir d'un nombre (grille carrée)
+ * ou d'un objet { width, height }. Retourne null hors de
+ * [MIN_GRID_SIZE, MAX_GRID_SIZE].
+ */
+const parseGridSize = (value) => {
+  const width = toInt(typeof value === "object" && value ? value.width : value);
+  const height = toInt(
+    typeof value === "object" && value ? value.height : value
+  );
+  const inRange = (size) =>
+    size !== null && size >= MIN_GRID_SIZE && size <= MAX_GRID_SIZE;
+  return inRange(width) && inRange(height) ? { width, height } : null;
+};
+
 class GameStateManager {
-  constructor(initialGridSize = ALLOWED_GRID_SIZES[0]) {
-    this.state = this.createInitialState(initialGridSize);
+  /**
+   * @param {number|{ width: number, height: number }} initialGridSize
+   * @param {object} [config]
+   * @param {number|null} [config.turnDurationMs] durée d'un tour (null = pas de limite)
+   * @param {number} [config.maxMissedTurns] tours expirés consécutifs avant forfait
+   * @param {object} [config.rules] règles de la partie (voir rules.js)
+   * @param {number|null} [config.seed] graine des tirages (null = nouvelle graine par partie)
+   */
+  constructor(
+    initialGridSize = DEFAULT_GRID_SIZE,
+    {
+      turnDurationMs = null,
+      maxMissedTurns = DEFAULT_MAX_MISSED_TURNS,
+      rules = resolveRules(),
+      seed = null,
+    } = {}
+  ) {
+    this.config = { turnDurationMs, maxMissedTurns, rules, seed };
+    this.startNewMatch(
+      parseGridSize(initialGridSize) || parseGridSize(DEFAULT_GRID_SIZE)
+    );
+  }
+
+  // nouvel état + journal vide : chaque partie a son propre historique
+  startNewMatch(gridSize) {
+    this.state = this.createInitialState(gridSize);
+    this.history = [];
+    // graine de la partie et état courant du générateur (random.js), gardés
+    // hors de l'état diffusé : un client pourrait sinon prédire les bonus
+    const seed = this.config.seed ?? createSeed();
+    this.rng = { seed, state: seed };
+    // état (et générateur) au lancement de la partie, point de départ des
+    // replays
+    this.initialState = null;
+    this.initialRng = null;
   }
 
-  createInitialState(gridSize) {
+  createInitialState({ width, height }) {
     return {
+      matchId: randomUUID(),
       gameStatus: "Lobby",
-      gridSize,
+      gridWidth: width,
+      gridHeight: height,
+      // copiées dans l'état pour que clients et replays connaissent les règles
+      rules: { ...this.config.rules },
+      turn: 0,
+      // tours de table complets, le premier commence avec la partie
+      round: 0,
+      // ids des joueurs dans l'ordre du tour de table en cours (un joueur
+      // peut y revenir en mode équipes) et position du joueur courant
+      turnOrder: [],
+      turnIndex: 0,
+      // mort subite : nombre d'anneaux extérieurs devenus dangereux
+      hazardLevel: 0,
       players: [],
+      // premier joueur humain inscrit : règle le nombre de joueurs et lance
+      hostId: null,
+      minPlayers: MIN_PLAYERS,
+      maxPlayers: MAX_PLAYERS,
       obstacles: [],
+      // carte choisie par l'hôte (maps.js) et ses cases spéciales
+      // { position, type: "wall" | "water" | "heal" | "high" }
+      mapId: null,
+      terrain: [],
+      // bonus au sol { id, type, position }
+      powerUps: [],
       currentPlayerTurn: null,
+      turnEndsAt: null,
+      // points restants du joueur courant (null hors mode points d'action)
+      actionPointsLeft: null,
+      // pseudo(s) et id du vainqueur ; en équipes, winnerId reste null
       winner: null,
       winnerId: null,
+      winnerIds: [],
+      winningTeam: null,
+      // fin de partie : "lastStanding", ou départage "roundLimit" / "hazard"
+      endReason: null,
+      eliminationOrder: [],
+      // groupes d'ids éliminés ensemble (même tick de zone, départage à
+      // égalité) : ils partagent la même place au classement
+      tiedEliminations: [],
+      startedAt: null,
+      finishedAt: null,
     };
   }
 
+  get rules() {
+    return this.state.rules;
+  }
+
   getSnapshot() {
     return JSON.parse(JSON.stringify(this.state));
   }
 
-  setGridSizeIfLobby(size) {
-    if (
-      this.state.gameStatus !== "Lobby" ||
-      this.state.players.length > 0 ||
-      !ALLOWED_GRID_SIZES.includes(size)
-    ) {
+  getHistory(afterSeq = 0) {
+    return this.history.filter((event) => event.seq > afterSeq);
+  }
+
+  // le brouillard ne s'applique que pendant la partie
+  usesFog() {
+    return (
+      Boolean(this.rules.fogOfWar) && this.state.gameStatus === "InProgress"
+    );
+  }
+
+  // pions qui voient pour ce joueur : le sien et ceux de ses coéquipiers
+  getVisionSources(playerId) {
+    const viewer = this.state.players.find((p) => p.id === playerId);
+    if (!viewer) return [];
+    return this.state.players.filter(
+      (p) =>
+        p.status === "Active" &&
+        p.position &&
+        (p.id === viewer.id || this.areAllies(viewer, p))
+    );
+  }
+
+  // vision en carré : visionRange pas dans toutes les directions
+  isVisibleFrom(sources, position) {
+    return sources.some(
+      (source) =>
+        Math.max(
+          Math.abs(source.position.x - position.x),
+          Math.abs(source.position.y - position.y)
+        ) <= this.rules.visionRange
+    );
+  }
+
+  /**
+   * Snapshot vu par un joueur. Avec le brouillard de guerre, les adversaires
+   * hors de vue n'ont plus de position (`hidden: true`), le stock d'obstacles
+   * adverse est masqué, et seuls les obstacles et bonus visibles (ou posés
+   * par son camp) restent ; `visibleCells` liste les cases visibles.
+   * Retourne null pour un joueur sans pion en jeu (vue spectateur).
+   */
+  getPlayerView(playerId) {
+    const snapshot = this.getSnapshot();
+    if (!this.usesFog()) return snapshot;
+    const viewer = this.state.players.find((p) => p.id === playerId);
+    const sources = this.getVisionSources(playerId);
+    if (!viewer || sources.length === 0) return null;
+
+    const isFriend = (id) => {
+      const other = this.state.players.find((p) => p.id === id);
+      return Boolean(
+        other && (other.id === viewer.id || this.areAllies(viewer, other))
+      );
+    };
+    const isVisible = (position) => this.isVisibleFrom(sources, position);
+
+    snapshot.players = snapshot.players.map((player) => {
+      if (isFriend(player.id)) return player;
+      const seen = Boolean(player.position && isVisible(player.position));
+      return {
+        ...player,
+        position: seen ? player.position : null,
+        obstaclesRestants: null,
+        effects: seen ? player.effects : [],
+        hidden: !seen,
+      };
+    });
+    snapshot.obstacles = snapshot.obstacles.filter(
+      (obstacle) => isFriend(obstacle.ownerId) || isVisible(obstacle.position)
+    );
+    snapshot.powerUps = (snapshot.powerUps || []).filter((powerUp) =>
+      isVisible(powerUp.position)
+    );
+    snapshot.visibleCells = [];
+    for (let y = 0; y < this.state.gridHeight; y += 1) {
+      for (let x = 0; x < this.state.gridWidth; x += 1) {
+        if (isVisible({ x, y })) snapshot.visibleCells.push({ x, y });
+      }
+    }
+    return snapshot;
+  }
+
+  // Événement vu par un joueur : hors de vue, on masque d'où et vers où
+  // un adversaire a joué
+  getEventView(event, playerId) {
+    if (!this.usesFog()) return event;
+    const viewer = this.state.players.find((p) => p.id === playerId);
+    const actor = this.state.players.find((p) => p.id === event.actorId);
+    if (!viewer || !actor || actor.id === viewer.id) return event;
+    if (this.areAllies(viewer, actor)) return event;
+    const sources = this.getVisionSources(playerId);
+    const reveal = (position) =>
+      position && this.isVisibleFrom(sources, position) ? position : null;
+    return { ...event, from: reveal(event.from), target: reveal(event.target) };
+  }
+
+  // Cases jouables envoyées au client : sous le brouillard, elles sont
+  // calculées sur le plateau tel que le joueur le voit. Un adversaire caché
+  // ne creuse donc pas de trou dans les déplacements proposés ; l'action
+  // vers lui est refusée à l'exécution, sans dire ce qui bloque.
+  getVisibleLegalActions(playerId) {
+    if (!this.usesFog()) return this.getLegalActions(playerId);
+    return this.withPlayerVision(playerId, () =>
+      this.getLegalActions(playerId)
+    );
+  }
+
+  // Appelle fn sur un plateau réduit à ce que voit le joueur : les joueurs,
+  // obstacles et bonus adverses hors de vue en sont retirés le temps de
+  // l'appel. Le décor (murs, eau) reste connu de tous.
+  withPlayerVision(playerId, fn) {
+    const viewer = this.state.players.find((p) => p.id === playerId);
+    const sources = this.getVisionSources(playerId);
+    const isFriend = (id) => {
+      const other = this.state.players.find((p) => p.id === id);
+      return Boolean(
+        viewer &&
+          other &&
+          (other.id === viewer.id || this.areAllies(viewer, other))
+      );
+    };
+    const isSeen = (position) =>
+      Boolean(position && this.isVisibleFrom(sources, position));
+    const { players, obstacles, powerUps } = this.state;
+    this.state.players = players.filter(
+      (player) => isFriend(player.id) || isSeen(player.position)
+    );
+    this.state.obstacles = obstacles.filter(
+      (obstacle) => isFriend(obstacle.ownerId) || isSeen(obstacle.position)
+    );
+    this.state.powerUps = (powerUps || []).filter((powerUp) =>
+      isSeen(powerUp.position)
+    );
+    try {
+      return fn();
+    } finally {
+      Object.assign(this.state, { players, obstacles, powerUps });
+    }
+  }
+
+  /**
+   * Ajoute une entrée au journal de la partie.
+   * `eliminationsFrom` = longueur de eliminationOrder avant l'action, pour
+   * n'y reporter que les joueurs éliminés par celle-ci.
+   */
+  recordEvent({
+    actor,
+    actionType,
+    from = null,
+    target = null,
+    entityHit = null,
+    damage = 0,
+    obstaclesDestroyed = [],
+    powerUp = null,
+    eliminationsFrom = this.state.eliminationOrder.length,
+  }) {
+    const eliminations = this.state.eliminationOrder
+      .slice(eliminationsFrom)
+      .map((id) => {
+        const eliminated = this.state.players.find((p) => p.id === id);
+        return { playerId: id, pseudo: eliminated ? eliminated.pseudo : null };
+      });
+    const event = {
+      seq: this.history.length + 1,
+      turn: this.state.turn,
+      timestamp: new Date().toISOString(),
+      actorId: actor.id,
+      actorPseudo: actor.pseudo,
+      actionType,
+      from,
+      target,
+      entityHit: entityHit
+        ? {
+            type: entityHit.type,
+            id: entityHit.entity.id,
+            pseudo: entityHit.type === "player" ? entityHit.entity.pseudo : null,
+          }
+        : null,
+      damage,
+      obstaclesDestroyed,
+      powerUp,
+      eliminations,
+    };
+    this.history.push(event);
+    return event;
+  }
+
+  getGridSize() {
+    return { width: this.state.gridWidth, height: this.state.gridHeight };
+  }
+
+  setGridSizeIfLobby({ width, height }) {
+    if (this.state.gameStatus !== "Lobby" || this.state.players.length > 0) {
       return;
     }
-    this.state.gridSize = size;
+    this.state.gridWidth = width;
+    this.state.gridHeight = height;
   }
 
-  addPlayer({ pseudo, color, gridSizeOverride, userId }) {
-    if (this.state.players.length >= MAX_PLAYERS) {
-      throw new Error("Le lobby est complet.");
+  addPlayer({ pseudo, color, gridSizeOverride, userId, team, bot = null }) {
+    if (this.state.players.length >= this.state.maxPlayers) {
+      throw new GameError(ERROR_CODES.LOBBY_FULL, "Le lobby est complet.", {
+        maxPlayers: this.state.maxPlayers,
+      });
     }
     if (!pseudo || typeof pseudo !== "string" || pseudo.trim().length === 0) {
-      throw new Error("Pseudo invalide.");
+      throw new GameError(ERROR_CODES.INVALID_PSEUDO, "Pseudo invalide.");
     }
     const normalizedColor = this.normalizeColor(color);
     if (!normalizedColor) {
-      throw new Error("Couleur invalide.");
+      throw new GameError(ERROR_CODES.INVALID_COLOR, "Couleur invalide.");
     }
 
     if (gridSizeOverride) {
-      this.setGridSizeIfLobby(gridSizeOverride);
+      const gridSize = parseGridSize(gridSizeOverride);
+      if (!gridSize) {
+        throw new GameError(
+          ERROR_CODES.INVALID_GRID_SIZE,
+          `Taille de grille invalide (${MIN_GRID_SIZE} à ${MAX_GRID_SIZE} cases de côté).`,
+          { min: MIN_GRID_SIZE, max: MAX_GRID_SIZE }
+        );
+      }
+      this.setGridSizeIfLobby(gridSize);
     }
+    const teamId = this.rules.teamMode ? this.pickTeam(team) : null;
 
-    const startingPosition =
-      this.getStartingPositions()[this.state.players.length];
     const player = {
       id: randomUUID(),
       userId: userId || null,
       pseudo: pseudo.trim(),
       couleur: normalizedColor,
-      pdv: PLAYER_HP,
-      position: startingPosition,
-      obstaclesRestants: OBSTACLE_STOCK,
+      pdv: this.rules.playerHp,
+      position: null,
+      obstaclesRestants: this.getObstacleStock(),
       status: "Active",
+      connected: true,
+      missedTurns: 0,
+      // mode équipes : id et couleur de l'équipe (null sinon)
+      team: teamId,
+      teamColor: teamId ? getTeam(teamId).couleur : null,
+      // effets de bonus actifs { type, turnsLeft }
+      effects: [],
+      // { difficulty } pour un joueur contrôlé par le serveur
+      bot,
     };
 
     this.state.players.push(player);
+    if (!this.state.hostId && !bot) {
+      this.state.hostId = player.id;
+    }
+    this.assignStartingPositions();
 
-    if (this.state.players.length === MAX_PLAYERS) {
-      this.state.gameStatus = "InProgress";
-      this.state.currentPlayerTurn = this.state.players[0].id;
+    if (this.state.players.length === this.state.maxPlayers) {
+      this.startGame();
     }
 
     return player;
   }
 
+  // places par équipe : la moitié du nombre maximal de joueurs
+  getTeamCapacity() {
+    return Math.ceil(this.state.maxPlayers / TEAMS.length);
+  }
+
+  getTeamMembers(teamId) {
+    return this.state.players.filter((p) => p.team === teamId);
+  }
+
+  // équipe demandée, ou la moins remplie si aucune
+  pickTeam(teamId) {
+    if (teamId) {
+      if (!getTeam(teamId)) {
+        throw new GameError(ERROR_CODES.UNKNOWN_TEAM, "Équipe inconnue.", {
+          team: teamId,
+        });
+      }
+      if (this.getTeamMembers(teamId).length >= this.getTeamCapacity()) {
+        throw new GameError(
+          ERROR_CODES.TEAM_FULL,
+          `${getTeam(teamId).name} est complète.`,
+          { team: teamId, capacity: this.getTeamCapacity() }
+        );
+      }
+      return teamId;
+    }
+    return TEAMS.map((t) => t.id).sort(
+      (a, b) => this.getTeamMembers(a).length - this.getTeamMembers(b).length
+    )[0];
+  }
+
+  // changement d'équipe au salon, par le joueur lui-même
+  setTeam(playerId, teamId) {
+    if (this.state.gameStatus !== "Lobby") {
+      throw new GameError(
+        ERROR_CODES.GAME_ALREADY_STARTED,
+        "La partie a déjà commencé."
+      );
+    }
+    if (!this.rules.teamMode) {
+      throw new GameError(
+        ERROR_CODES.NOT_TEAM_MODE,
+        "Ce salon ne joue pas en équipes."
+      );
+    }
+    const player = this.state.players.find((p) => p.id === playerId);
+    if (!player) {
+      throw new GameError(ERROR_CODES.PLAYER_NOT_FOUND, "Joueur introuvable.");
+    }
+    if (player.team === teamId) return;
+    player.team = this.pickTeam(teamId);
+    player.teamColor = getTeam(player.team).couleur;
+  }
+
+  // équipes non vides et de même taille
+  getTeamStartError() {
+    const sizes = TEAMS.map((t) => this.getTeamMembers(t.id).length);
+    if (sizes.some((size) => size === 0 || size !== sizes[0])) {
+      return new GameError(
+        ERROR_CODES.UNEVEN_TEAMS,
+        "Les équipes doivent avoir le même nombre de joueurs.",
+        { teamSizes: sizes }
+      );
+    }
+    return null;
+  }
+
+  // ordre de jeu alterné : 1er rouge, 1er bleu, 2e rouge, 2e bleu...
+  interleaveTeams() {
+    const byTeam = TEAMS.map((t) => this.getTeamMembers(t.id));
+    const longest = Math.max(...byTeam.map((members) => members.length));
+    const ordered = [];
+    for (let i = 0; i < longest; i += 1) {
+      byTeam.forEach((members) => {
+        if (members[i]) ordered.push(members[i]);
+      });
+    }
+    this.state.players = ordered;
+  }
+
+  requireHost(playerId) {
+    if (this.state.gameStatus !== "Lobby") {
+      throw new GameError(
+        ERROR_CODES.GAME_ALREADY_STARTED,
+        "La partie a déjà commencé."
+      );
+    }
+    if (!playerId || this.state.hostId !== playerId) {
+      throw new GameError(
+        ERROR_CODES.NOT_HOST,
+        "Seul l'hôte du salon peut faire cela."
+      );
+    }
+  }
+
+  /**
+   * Nombre de joueurs choisi par l'hôte. La partie démarre d'elle-même quand
+   * maxPlayers est atteint ; dès minPlayers, l'hôte peut la lancer (requestStart).
+   */
+  setPlayerLimits(playerId, { minPlayers, maxPlayers }) {
+    this.requireHost(playerId);
+    const min = toInt(minPlayers ?? this.state.minPlayers);
+    const max = toInt(maxPlayers ?? this.state.maxPlayers);
+    if (
+      min === null ||
+      max === null ||
+      min < MIN_PLAYERS ||
+      max > MAX_PLAYERS ||
+      min > max
+    ) {
+      throw new GameError(
+        ERROR_CODES.INVALID_PLAYER_LIMITS,
+        `Le nombre de joueurs doit être compris entre ${MIN_PLAYERS} et ${MAX_PLAYERS} (min ≤ max).`,
+        { min: MIN_PLAYERS, max: MAX_PLAYERS }
+      );
+    }
+    if (max < this.state.players.length) {
+      throw new GameError(
+        ERROR_CODES.INVALID_PLAYER_LIMITS,
+        `${this.state.players.length} joueurs sont déjà inscrits.`,
+        { playerCount: this.state.players.length }
+      );
+    }
+    if (this.rules.teamMode && (min % 2 !== 0 || max % 2 !== 0)) {
+      throw new GameError(
+        ERROR_CODES.INVALID_PLAYER_LIMITS,
+        "En équipes, le nombre de joueurs doit être pair.",
+        { even: true }
+      );
+    }
+    if (
+      this.rules.teamMode &&
+      TEAMS.some((t) => this.getTeamMembers(t.id).length > max / 2)
+    ) {
+      throw new GameError(
+        ERROR_CODES.INVALID_PLAYER_LIMITS,
+        "Une équipe a déjà trop de joueurs pour cette limite.",
+        { teamCapacity: max / 2 }
+      );
+    }
+    this.state.minPlayers = min;
+    this.state.maxPlayers = max;
+    if (this.state.players.length === max) {
+      this.startGame();
+    }
+  }
+
+  /**
+   * Carte choisie par l'hôte (null = plateau nu). Le plateau prend les
+   * dimensions de la carte ; positions et stocks d'obstacles sont recalculés.
+   */
+  setMap(playerId, map) {
+    this.requireHost(playerId);
+    this.state.mapId = map ? map.id : null;
+    this.state.terrain = map
+      ? map.terrain.map(({ position, type }) => ({
+          position: { ...position },
+          type,
+        }))
+      : [];
+    if (map) {
+      this.state.gridWidth = map.width;
+      this.state.gridHeight = map.height;
+    }
+    const obstacleStock = this.getObstacleStock();
+    this.state.players.forEach((player) => {
+      player.obstaclesRestants = obstacleStock;
+    });
+    this.assignStartingPositions();
+  }
+
+  requestStart(playerId) {
+    this.requireHost(playerId);
+    if (this.state.players.length < this.state.minPlayers) {
+      throw new GameError(
+        ERROR_CODES.NOT_ENOUGH_PLAYERS,
+        `Il faut au moins ${this.state.minPlayers} joueurs pour lancer la partie.`,
+        { minPlayers: this.state.minPlayers }
+      );
+    }
+    const teamError = this.rules.teamMode ? this.getTeamStartError() : null;
+    if (teamError) {
+      throw teamError;
+    }
+    this.startGame();
+  }
+
+  startGame() {
+    if (this.rules.teamMode) {
+      this.interleaveTeams();
+    }
+    this.assignStartingPositions();
+    this.state.gameStatus = "InProgress";
+    this.state.startedAt = new Date().toISOString();
+    this.state.round = 1;
+    this.state.turnOrder = this.buildTurnOrder();
+    this.state.turnIndex = 0;
+    this.beginTurn(this.state.turnOrder[0]);
+    this.initialState = this.getSnapshot();
+    this.initialRng = { ...this.rng };
+  }
+
   removePlayer(playerId) {
     const index = this.state.players.findIndex((p) => p.id === playerId);
     if (index === -1) return;
-    const [player] = this.state.players.splice(index, 1);
+    const player = this.state.players[index];
+    const wasInProgress = this.state.gameStatus === "InProgress";
+
+    if (wasInProgress) {
+      // Pendant la partie, le joueur reste listé (Defeated) pour que le
+      // résultat du match conserve tous les participants.
+      player.connected = false;
+      if (player.status === "Active") {
+        const wasCurrent = this.state.currentPlayerTurn === player.id;
+        const eliminationsFrom = this.state.eliminationOrder.length;
+        this.markPlayerDefeated(player.id);
+        this.recordEvent({
+          actor: player,
+          actionType: "FORFEIT",
+          eliminationsFrom,
+        });
+        if (wasCurrent) {
+          this.advanceTurn();
+        }
+        this.checkVictory();
+      }
+    } else {
+      this.state.players.splice(index, 1);
+    }
 
-    if (this.state.players.length === 0) {
-      this.state = this.createInitialState(this.state.gridSize);
+    // Tout le monde est parti : le salon repart sur une partie vierge
+    // (jamais dans la foulée d'une partie qui vient de se terminer, pour
+    // laisser le serveur enregistrer son résultat). Dans le lobby, un joueur
+    // déconnecté garde sa place jusqu'à la fin du délai de reconnexion.
+    const isLobby = this.state.gameStatus === "Lobby";
+    if (
+      !wasInProgress &&
+      this.state.players.every(
+        (p) => p.bot || (!isLobby && p.connected === false)
+      )
+    ) {
+      this.startNewMatch(this.getGridSize());
       return;
     }
 
-    if (player.status === "Active" && this.state.gameStatus === "InProgress") {
-      // Treat as defeated and advance turn.
-      this.markPlayerDefeated(player.id);
-      this.advanceTurn();
-      this.checkVictory();
-    } else if (this.state.gameStatus === "Lobby") {
+    if (this.state.gameStatus === "Lobby") {
+      if (this.state.hostId === playerId) {
+        const humans = this.state.players.filter((p) => !p.bot);
+        const nextHost = humans.find((p) => p.connected !== false) || humans[0];
+        this.state.hostId = nextHost ? nextHost.id : null;
+      }
       // Shift starting positions for remaining players.
-      this.state.players.forEach((p, idx) => {
-        p.position = this.getStartingPositions()[idx];
-      });
+      this.assignStartingPositions();
     }
   }
 
-  executeMove(playerId, target) {
-    const player = this.requireActivePlayer(playerId);
-    this.ensureTargetValid(target);
+  // siège conservé pendant une déconnexion : le joueur reste en jeu. Un hôte
+  // déconnecté dans le lobby passe la main pour ne pas bloquer le lancement.
+  setPlayerConnected(playerId, connected) {
+    const player = this.state.players.find((p) => p.id === playerId);
+    if (!player) return;
+    player.connected = connected;
+    if (
+      !connected &&
+      this.state.gameStatus === "Lobby" &&
+      this.state.hostId === playerId
+    ) {
+      const nextHost = this.state.players.find(
+        (p) => !p.bot && p.connected !== false
+      );
+      if (nextHost) this.state.hostId = nextHost.id;
+    }
+  }
+
+  // Les get*Error renvoient le motif de refus d'une action (GameError), null
+  // si elle est permise : mêmes règles pour l'exécution et pour
+  // getLegalTargets.
+  getMoveError(player, target) {
     if (!this.isStraightLine(player.position, target)) {
-      throw new Error("Le déplacement doit être en ligne droite.");
+      return new GameError(
+        ERROR_CODES.NOT_STRAIGHT_LINE,
+        "Le déplacement doit être en ligne droite.",
+        { diagonals: Boolean(this.rules.diagonals) }
+      );
     }
     const distance = this.distance(player.position, target);
-    if (distance === 0 || distance > MOVE_RANGE) {
-      throw new Error("La distance maximale est de 3 cases.");
+    if (distance === 0 || distance > this.rules.moveRange) {
+      return new GameError(
+        ERROR_CODES.OUT_OF_RANGE,
+        `La distance maximale est de ${formatCells(this.rules.moveRange)}.`,
+        { maxRange: this.rules.moveRange, distance }
+      );
     }
-    if (!this.isPathClear(player.position, target)) {
-      throw new Error("Trajet bloqué par un joueur ou un obstacle.");
+    const blockedBy = this.findPathBlocker(player.position, target);
+    if (blockedBy) {
+      return new GameError(
+        ERROR_CODES.PATH_BLOCKED,
+        "Trajet bloqué par un joueur, un obstacle, un mur ou de l'eau.",
+        this.getBlockerDetails(player, blockedBy)
+      );
     }
-    player.position = target;
-    this.cleanupAfterAction();
-    this.advanceTurn();
+    return null;
   }
 
-  executeAttack(playerId, target) {
-    // player qui joue
-    const player = this.requireActivePlayer(playerId);
-    // verifie qu'on est bien dans la grille
-    this.ensureTargetValid(target);
+  getAttackError(player, target) {
     // on vérifie qu'on est bien en ligne
     if (!this.isStraightLine(player.position, target)) {
-      throw new Error("Attaque en ligne droite uniquement.");
+      return new GameError(
+        ERROR_CODES.NOT_STRAIGHT_LINE,
+        "Attaque en ligne droite uniquement.",
+        { diagonals: Boolean(this.rules.diagonals) }
+      );
     }
     // on vérifie que la portée est la bonne
     const distance = this.distance(player.position, target);
-    if (distance === 0 || distance > ATTACK_RANGE) {
-      throw new Error("La portée maximale est de 2 cases.");
+    const attackRange = this.getAttackRange(player.position);
+    if (distance === 0 || distance > attackRange) {
+      return new GameError(
+        ERROR_CODES.OUT_OF_RANGE,
+        `La portée maximale est de ${formatCells(attackRange)}.`,
+        { maxRange: attackRange, distance }
+      );
     }
 
     const entityHit = this.findFirstEntity(player.position, target);
     if (!entityHit) {
-      throw new Error("Aucune cible dans cette direction.");
+      const wall = this.findWallOnRay(player.position, target);
+      return wall
+        ? new GameError(
+            ERROR_CODES.LINE_OF_FIRE_BLOCKED,
+            "Un mur bloque votre attaque.",
+            this.getBlockerDetails(player, { type: "wall", position: wall })
+          )
+        : new GameError(
+            ERROR_CODES.NO_TARGET,
+            "Aucune cible dans cette direction."
+          );
     }
 
     const explicitTarget =
       this.getPlayerAt(target) || this.getObstacleAt(target);
     if (explicitTarget && entityHit.entity.id !== explicitTarget.id) {
-      throw new Error("Une entité bloque votre attaque.");
+      return new GameError(
+        ERROR_CODES.LINE_OF_FIRE_BLOCKED,
+        "Une entité bloque votre attaque.",
+        this.getBlockerDetails(player, describeEntity(entityHit))
+      );
+    }
+    if (
+      entityHit.type === "player" &&
+      !this.rules.friendlyFire &&
+      this.areAllies(player, entityHit.entity)
+    ) {
+      return new GameError(
+        ERROR_CODES.FRIENDLY_FIRE,
+        "Tir ami désactivé : un coéquipier est dans la ligne de tir.",
+        this.getBlockerDetails(player, describeEntity(entityHit))
+      );
+    }
+    return null;
+  }
+
+  getPlaceObstacleError(player, target) {
+    if (player.obstaclesRestants <= 0) {
+      return new GameError(
+        ERROR_CODES.NO_OBSTACLES_LEFT,
+        "Plus d'obstacles disponibles."
+      );
+    }
+    if (!this.isAdjacent(player.position, target)) {
+      return new GameError(
+        ERROR_CODES.NOT_ADJACENT,
+        "La case doit être adjacente."
+      );
     }
+    const occupant = this.findCellOccupant(target);
+    if (occupant) {
+      const details = this.getBlockerDetails(player, occupant);
+      return new GameError(
+        ERROR_CODES.CELL_OCCUPIED,
+        details.blockedBy
+          ? CELL_OCCUPIED_MESSAGES[occupant.type]
+          : CELL_OCCUPIED_MESSAGES.player,
+        details
+      );
+    }
+    return null;
+  }
+
+  // Détails d'erreur sur ce qui bloque une action. Sous le brouillard, rien
+  // n'est dit d'un bloqueur hors de vue : l'erreur révélerait sa position.
+  getBlockerDetails(player, blockedBy) {
+    if (
+      this.usesFog() &&
+      !this.isVisibleFrom(
+        this.getVisionSources(player.id),
+        blockedBy.position
+      )
+    ) {
+      return {};
+    }
+    return { blockedBy };
+  }
+
+  /**
+   * Cases que le joueur peut viser avec ce type d'action. Pour ATTACK, chaque
+   * case indique aussi l'entité qui serait touchée (`hit`).
+   * @returns {{ x: number, y: number, hit?: { type: string, id: string, position: object } }[]}
+   */
+  getLegalTargets(playerId, actionType) {
+    const player = this.state.players.find((p) => p.id === playerId);
+    const getError = {
+      MOVE: this.getMoveError,
+      ATTACK: this.getAttackError,
+      PLACE_OBSTACLE: this.getPlaceObstacleError,
+    }[actionType];
+    if (!player || player.status !== "Active" || !getError) return [];
+    if (!this.canAfford(actionType)) return [];
 
-    player.pdv -= ATTACK_COST;
+    const targets = [];
+    for (let y = 0; y < this.state.gridHeight; y += 1) {
+      for (let x = 0; x < this.state.gridWidth; x += 1) {
+        const target = { x, y };
+        if (getError.call(this, player, target)) continue;
+        if (actionType === "ATTACK") {
+          const entityHit = this.findFirstEntity(player.position, target);
+          target.hit = {
+            type: entityHit.type,
+            id: entityHit.entity.id,
+            position: { ...entityHit.entity.position },
+          };
+        }
+        targets.push(target);
+      }
+    }
+    return targets;
+  }
+
+  getLegalActions(playerId) {
+    return {
+      MOVE: this.getLegalTargets(playerId, "MOVE"),
+      ATTACK: this.getLegalTargets(playerId, "ATTACK"),
+      PLACE_OBSTACLE: this.getLegalTargets(playerId, "PLACE_OBSTACLE"),
+    };
+  }
+
+  usesActionPoints() {
+    return this.rules.actionPoints > 0;
+  }
+
+  getActionCost(actionType) {
+    return this.rules.actionCosts ? this.rules.actionCosts[actionType] : 1;
+  }
+
+  canAfford(actionType) {
+    return (
+      !this.usesActionPoints() ||
+      this.getActionCost(actionType) <= this.state.actionPointsLeft
+    );
+  }
+
+  ensureActionAffordable(actionType) {
+    if (!this.canAfford(actionType)) {
+      throw new GameError(
+        ERROR_CODES.NOT_ENOUGH_ACTION_POINTS,
+        `Pas assez de points d'action (${this.getActionCost(actionType)} requis, ${this.state.actionPointsLeft} restant).`,
+        {
+          cost: this.getActionCost(actionType),
+          actionPointsLeft: this.state.actionPointsLeft,
+        }
+      );
+    }
+  }
+
+  // Après une action : le tour passe, sauf en mode points d'action tant que
+  // le joueur peut encore payer l'action la moins chère.
+  finishAction(player, actionType) {
+    if (!this.usesActionPoints()) {
+      this.advanceTurn();
+      return;
+    }
+    this.state.actionPointsLeft -= this.getActionCost(actionType);
+    const cheapest = Math.min(...Object.values(this.rules.actionCosts));
+    if (
+      player.status !== "Active" ||
+      this.state.actionPointsLeft < cheapest
+    ) {
+      this.advanceTurn();
+    }
+  }
+
+  // Mode points d'action : le joueur rend la main sans dépenser ses points
+  endTurn(playerId) {
+    const player = this.requireActivePlayer(playerId);
+    if (!this.usesActionPoints()) {
+      throw new GameError(
+        ERROR_CODES.ACTION_POINTS_DISABLED,
+        "Finir son tour n'existe qu'en mode points d'action."
+      );
+    }
+    if (this.state.currentPlayerTurn !== player.id) {
+      throw new GameError(
+        ERROR_CODES.NOT_YOUR_TURN,
+        "Ce n'est pas le tour de ce joueur.",
+        { currentPlayerTurn: this.state.currentPlayerTurn }
+      );
+    }
+    player.missedTurns = 0;
+    const event = this.recordEvent({ actor: player, actionType: "END_TURN" });
+    this.advanceTurn();
+    return event;
+  }
+
+  executeMove(playerId, target) {
+    const player = this.requireActivePlayer(playerId);
+    this.ensureActionAffordable("MOVE");
+    this.ensureTargetValid(target);
+    const from = player.position;
+    const error = this.getMoveError(player, target);
+    if (error) {
+      throw error;
+    }
+    player.position = target;
+    player.missedTurns = 0;
+    const powerUp = this.collectPowerUp(player);
+    this.cleanupAfterAction();
+    const event = this.recordEvent({
+      actor: player,
+      actionType: "MOVE",
+      from,
+      target,
+      powerUp: powerUp ? powerUp.type : null,
+    });
+    this.finishAction(player, "MOVE");
+    return event;
+  }
+
+  executeAttack(playerId, target) {
+    // player qui joue
+    const player = this.requireActivePlayer(playerId);
+    this.ensureActionAffordable("ATTACK");
+    // verifie qu'on est bien dans la grille
+    this.ensureTargetValid(target);
+    const error = this.getAttackError(player, target);
+    if (error) {
+      throw error;
+    }
+
+    const entityHit = this.findFirstEntity(player.position, target);
+    const from = player.position;
+    const eliminationsFrom = this.state.eliminationOrder.length;
+    const obstaclesDestroyed = [];
+
+    const { attackCost } = this.rules;
+    const damage = this.getDamageAgainst(player, entityHit);
+    player.pdv -= attackCost;
     if (player.pdv <= 0) {
       this.markPlayerDefeated(player.id);
     }
 
     if (entityHit.type === "player") {
-      entityHit.entity.pdv -= ATTACK_DAMAGE;
+      entityHit.entity.pdv -= damage;
 
       if (entityHit.entity.pdv <= 0) {
         this.markPlayerDefeated(entityHit.entity.id);
       }
     } else {
-      entityHit.entity.pdv -= ATTACK_DAMAGE;
+      entityHit.entity.pdv -= damage;
       if (entityHit.entity.pdv <= 0) {
         this.state.obstacles = this.state.obstacles.filter(
           (o) => o.id !== entityHit.entity.id
         );
+        obstaclesDestroyed.push(entityHit.entity.id);
       }
     }
 
+    player.missedTurns = 0;
     this.cleanupAfterAction();
-    this.advanceTurn();
+    const event = this.recordEvent({
+      actor: player,
+      actionType: "ATTACK",
+      from,
+      target,
+      entityHit,
+      damage,
+      obstaclesDestroyed,
+      eliminationsFrom,
+    });
+    this.finishAction(player, "ATTACK");
+    return event;
   }
 
   executePlaceObstacle(playerId, target) {
     const player = this.requireActivePlayer(playerId);
+    this.ensureActionAffordable("PLACE_OBSTACLE");
     this.ensureTargetValid(target);
-    if (player.obstaclesRestants <= 0) {
-      throw new Error("Plus d'obstacles disponibles.");
-    }
-    if (!this.isAdjacent(player.position, target)) {
-      throw new Error("La case doit être adjacente.");
-    }
-    if (this.isOccupied(target)) {
-      throw new Error("Case déjà occupée.");
+    const error = this.getPlaceObstacleError(player, target);
+    if (error) {
+      throw error;
     }
     this.state.obstacles.push({
       id: randomUUID(),
       position: target,
-      pdv: OBSTACLE_HP,
+      pdv: this.rules.obstacleHp,
       ownerId: player.id,
     });
     player.obstaclesRestants -= 1;
+    player.missedTurns = 0;
+    this.cleanupAfterAction();
+    const event = this.recordEvent({
+      actor: player,
+      actionType: "PLACE_OBSTACLE",
+      from: player.position,
+      target,
+    });
+    this.finishAction(player, "PLACE_OBSTACLE");
+    return event;
+  }
+
+  // temps écoulé : le tour passe, forfait après trop de tours manqués d'affilée
+  skipTurn(playerId) {
+    const player = this.requireActivePlayer(playerId);
+    if (this.state.currentPlayerTurn !== player.id) {
+      throw new GameError(
+        ERROR_CODES.NOT_YOUR_TURN,
+        "Ce n'est pas le tour de ce joueur.",
+        { currentPlayerTurn: this.state.currentPlayerTurn }
+      );
+    }
+    const eliminationsFrom = this.state.eliminationOrder.length;
+    // un tour entamé (points d'action dépensés) ne compte pas comme manqué
+    const acted =
+      this.usesActionPoints() &&
+      this.state.actionPointsLeft < this.rules.actionPoints;
+    if (!acted) {
+      player.missedTurns += 1;
+    }
+    if (
+      this.config.maxMissedTurns &&
+      player.missedTurns >= this.config.maxMissedTurns
+    ) {
+      this.markPlayerDefeated(player.id);
+    }
     this.cleanupAfterAction();
+    this.recordEvent({
+      actor: player,
+      actionType: "TURN_SKIPPED",
+      eliminationsFrom,
+    });
     this.advanceTurn();
+    return player;
   }
 
   requireActivePlayer(playerId) {
     const player = this.state.players.find((p) => p.id === playerId);
     if (!player) {
-      throw new Error("Joueur introuvable.");
+      throw new GameError(ERROR_CODES.PLAYER_NOT_FOUND, "Joueur introuvable.");
     }
     if (player.status !== "Active") {
-      throw new Error("Joueur déjà éliminé.");
+      throw new GameError(ERROR_CODES.PLAYER_DEFEATED, "Joueur déjà éliminé.");
     }
     return player;
   }
@@ -216,15 +1087,21 @@ class GameStateManager {
       !target ||
       typeof target.x !== "number" ||
       typeof target.y !== "number" ||
-      target.x < 0 ||
-      target.x >= this.state.gridSize ||
-      target.y < 0 ||
-      target.y >= this.state.gridSize
+      !this.isInBounds(target)
     ) {
-      throw new Error("Case hors limites.");
+      throw new GameError(ERROR_CODES.OUT_OF_BOUNDS, "Case hors limites.", {
+        width: this.state.gridWidth,
+        height: this.state.gridHeight,
+      });
     }
   }
 
+  isInBounds({ x, y }) {
+    return (
+      x >= 0 && y >= 0 && x < this.state.gridWidth && y < this.state.gridHeight
+    );
+  }
+
   isOccupied(position) {
     return Boolean(this.getPlayerAt(position) || this.getObstacleAt(position));
   }
@@ -244,47 +1121,211 @@ class GameStateManager {
     );
   }
 
+  areAllies(a, b) {
+    return Boolean(this.rules.teamMode && a.team && a.team === b.team);
+  }
+
+  // camp d'un joueur pour la victoire et le départage : son équipe, ou
+  // lui seul hors mode équipes
+  getSideMembers(player) {
+    return this.rules.teamMode
+      ? this.getTeamMembers(player.team)
+      : [player];
+  }
+
+  getPowerUpAt(position) {
+    return (this.state.powerUps || []).find(
+      (p) => p.position.x === position.x && p.position.y === position.y
+    );
+  }
+
+  hasEffect(player, type) {
+    return (player.effects || []).some((effect) => effect.type === type);
+  }
+
+  // dégâts d'une attaque : bonus de l'attaquant, annulés par un bouclier
+  getDamageAgainst(attacker, entityHit) {
+    if (
+      entityHit.type === "player" &&
+      this.hasEffect(entityHit.entity, "shield")
+    ) {
+      return 0;
+    }
+    const boost = this.hasEffect(attacker, "damage") ? DAMAGE_BOOST : 0;
+    return this.rules.attackDamage + boost;
+  }
+
+  // tirage dans [0, 1) avec le générateur de la partie (reproductible)
+  random() {
+    const { value, state } = nextRandom(this.rng.state);
+    this.rng.state = state;
+    return value;
+  }
+
+  // un bonus tous les powerUpInterval tours de table, sur une case libre
+  spawnPowerUp() {
+    const interval = this.rules.powerUpInterval;
+    if (!interval || this.state.round % interval !== 0) return null;
+    if (!this.state.powerUps) this.state.powerUps = [];
+    if (this.state.powerUps.length >= MAX_POWER_UPS) return null;
+
+    const freeCells = [];
+    for (let y = 0; y < this.state.gridHeight; y += 1) {
+      for (let x = 0; x < this.state.gridWidth; x += 1) {
+        const position = { x, y };
+        if (
+          !this.isOccupied(position) &&
+          !this.blocksMovement(position) &&
+          !this.getPowerUpAt(position) &&
+          !this.isHazard(position)
+        ) {
+          freeCells.push(position);
+        }
+      }
+    }
+    if (freeCells.length === 0) return null;
+    const position = freeCells[Math.floor(this.random() * freeCells.length)];
+    const type =
+      POWER_UP_TYPES[Math.floor(this.random() * POWER_UP_TYPES.length)];
+    const powerUp = { id: randomUUID(), type, position };
+    this.state.powerUps.push(powerUp);
+    return powerUp;
+  }
+
+  // ramassage en arrivant sur la case : soin et obstacle immédiats,
+  // dégâts et bouclier pour quelques tours
+  collectPowerUp(player) {
+    const powerUp = this.getPowerUpAt(player.position);
+    if (!powerUp) return null;
+    this.state.powerUps = this.state.powerUps.filter(
+      (p) => p.id !== powerUp.id
+    );
+    if (powerUp.type === "heal") {
+      player.pdv = Math.min(player.pdv + POWER_UP_HEAL, this.rules.playerHp);
+    } else if (powerUp.type === "obstacle") {
+      player.obstaclesRestants += 1;
+    } else {
+      if (!player.effects) player.effects = [];
+      player.effects = player.effects.filter((e) => e.type !== powerUp.type);
+      player.effects.push({
+        type: powerUp.type,
+        turnsLeft: EFFECT_TURNS[powerUp.type],
+      });
+    }
+    return powerUp;
+  }
+
+  // au début du tour de son porteur, chaque effet perd un tour
+  tickEffects(player) {
+    if (!player.effects) return;
+    player.effects = player.effects
+      .map((effect) => ({ ...effect, turnsLeft: effect.turnsLeft - 1 }))
+      .filter((effect) => effect.turnsLeft > 0);
+  }
+
+  getTerrainAt(position) {
+    const tile = (this.state.terrain || []).find(
+      (t) => t.position.x === position.x && t.position.y === position.y
+    );
+    return tile ? tile.type : null;
+  }
+
+  // murs et eau : infranchissables ; seuls les murs arrêtent les attaques
+  blocksMovement(position) {
+    const terrain = this.getTerrainAt(position);
+    return terrain === "wall" || terrain === "water";
+  }
+
+  // une hauteur allonge la portée des attaques tirées depuis cette case
+  getAttackRange(position) {
+    const bonus =
+      this.getTerrainAt(position) === "high"
+        ? this.rules.highGroundBonus || 0
+        : 0;
+    return this.rules.attackRange + bonus;
+  }
+
+  // Avec la règle `diagonals`, les 8 directions comptent comme des lignes
   isStraightLine(a, b) {
-    return a.x === b.x || a.y === b.y;
+    if (a.x === b.x || a.y === b.y) return true;
+    return (
+      Boolean(this.rules.diagonals) &&
+      Math.abs(a.x - b.x) === Math.abs(a.y - b.y)
+    );
   }
 
+  // Manhattan, ou Chebyshev avec les diagonales : un pas en diagonale vaut 1
   distance(a, b) {
-    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+    const dx = Math.abs(a.x - b.x);
+    const dy = Math.abs(a.y - b.y);
+    return this.rules.diagonals ? Math.max(dx, dy) : dx + dy;
   }
 
-  isPathClear(start, target) {
+  // Ce qui occupe une case : joueur, obstacle, mur, eau ou bonus
+  // ({ type, id?, position }), null si elle est libre
+  findCellOccupant(position) {
+    const player = this.getPlayerAt(position);
+    if (player) return describeEntity({ type: "player", entity: player });
+    const obstacle = this.getObstacleAt(position);
+    if (obstacle) return describeEntity({ type: "obstacle", entity: obstacle });
+    if (this.blocksMovement(position)) {
+      return { type: this.getTerrainAt(position), position: { ...position } };
+    }
+    const powerUp = this.getPowerUpAt(position);
+    if (powerUp) {
+      return { type: "powerUp", id: powerUp.id, position: { ...position } };
+    }
+    return null;
+  }
+
+  // Premier joueur, obstacle, mur ou case d'eau sur le trajet (arrivée
+  // comprise), null si le trajet est libre. Un bonus ne bloque pas.
+  findPathBlocker(start, target) {
     const dx = Math.sign(target.x - start.x);
     const dy = Math.sign(target.y - start.y);
-    let x = start.x + dx;
-    let y = start.y + dy;
-    while (x !== target.x || y !== target.y) {
-      if (this.isOccupied({ x, y })) {
-        return false;
-      }
+    let x = start.x;
+    let y = start.y;
+    do {
       x += dx;
       y += dy;
-    }
-    if (this.isOccupied(target)) {
-      return false;
-    }
-    return true;
+      const occupant = this.findCellOccupant({ x, y });
+      if (occupant && occupant.type !== "powerUp") return occupant;
+    } while (x !== target.x || y !== target.y);
+    return null;
+  }
+
+  // premier mur entre l'attaquant et la case visée (incluse), ou null
+  findWallOnRay(start, target) {
+    const dx = Math.sign(target.x - start.x);
+    const dy = Math.sign(target.y - start.y);
+    let x = start.x;
+    let y = start.y;
+    do {
+      x += dx;
+      y += dy;
+      if (this.getTerrainAt({ x, y }) === "wall") return { x, y };
+    } while (x !== target.x || y !== target.y);
+    return null;
   }
+
   // trouve la première entité dans la direction de l'attaque
   findFirstEntity(start, target) {
     const dx = Math.sign(target.x - start.x);
     const dy = Math.sign(target.y - start.y);
     let x = start.x + dx;
     let y = start.y + dy;
+    const attackRange = this.getAttackRange(start);
     // on parcourt la grille jusqu'à trouver la première entité dans la direction de l'attaque
     while (
-      x >= 0 &&
-      y >= 0 &&
-      x < this.state.gridSize &&
-      y < this.state.gridSize &&
-      Math.abs(x - start.x) + Math.abs(y - start.y) <= ATTACK_RANGE
+      this.isInBounds({ x, y }) &&
+      this.distance(start, { x, y }) <= attackRange
     ) {
-      // on vérifie si la case est occupée par un joueur ou un obstacle
       const pos = { x, y };
+      // un mur arrête le tir, l'eau le laisse passer
+      if (this.getTerrainAt(pos) === "wall") {
+        break;
+      }
+      // on vérifie si la case est occupée par un joueur ou un obstacle
       const player = this.getPlayerAt(pos);
       if (player) {
         return { type: "player", entity: player };
@@ -314,21 +1355,66 @@ class GameStateManager {
     );
   }
 
-  getStartingPositions() {
-    const size = this.state.gridSize - 1;
+  /**
+   * Positions de départ selon le nombre de joueurs : coins opposés en duel,
+   * deux coins et le milieu du bord opposé à 3 (aucun joueur n'est coincé
+   * entre les deux autres), les quatre coins à 4. Sur les grands plateaux,
+   * les coins sont rapprochés du centre d'une case tous les 4 au-delà de 7.
+   */
+  getStartingPositions(playerCount = this.state.players.length) {
+    const { gridWidth, gridHeight } = this.state;
+    const inset = Math.floor(
+      (Math.min(gridWidth, gridHeight) - MIN_GRID_SIZE) / 4
+    );
+    const left = inset;
+    const top = inset;
+    const right = gridWidth - 1 - inset;
+    const bottom = gridHeight - 1 - inset;
+    if (playerCount <= 2) {
+      return [
+        { x: left, y: top },
+        { x: right, y: bottom },
+      ];
+    }
+    if (playerCount === 3) {
+      return [
+        { x: left, y: top },
+        { x: right, y: top },
+        { x: Math.floor((gridWidth - 1) / 2), y: bottom },
+      ];
+    }
     return [
-      { x: 0, y: 0 },
-      { x: size, y: 0 },
-      { x: 0, y: size },
-      { x: size, y: size },
+      { x: left, y: top },
+      { x: right, y: top },
+      { x: left, y: bottom },
+      { x: right, y: bottom },
     ];
   }
 
+  // rules.obstacleStock vaut pour une grille 9x9 : le stock suit la surface
+  getObstacleStock() {
+    const { obstacleStock } = this.rules;
+    if (obstacleStock === 0) return 0;
+    const area = this.state.gridWidth * this.state.gridHeight;
+    return Math.max(
+      1,
+      Math.round((obstacleStock * area) / DEFAULT_GRID_SIZE ** 2)
+    );
+  }
+
+  assignStartingPositions() {
+    const positions = this.getStartingPositions();
+    this.state.players.forEach((player, index) => {
+      player.position = positions[index];
+    });
+  }
+
   markPlayerDefeated(playerId) {
     const player = this.state.players.find((p) => p.id === playerId);
     if (!player || player.status === "Defeated") return;
     player.status = "Defeated";
     player.position = null;
+    this.state.eliminationOrder.push(player.id);
   }
 
   cleanupAfterAction() {
@@ -350,35 +1436,325 @@ class GameStateManager {
       this.checkVictory();
       return;
     }
-    const currentIndex = this.state.players.findIndex(
-      (player) => player.id === this.state.currentPlayerTurn
-    );
-    let nextIndex = currentIndex;
-    for (let i = 0; i < this.state.players.length; i += 1) {
-      nextIndex = (nextIndex + 1) % this.state.players.length;
-      if (this.state.players[nextIndex].status === "Active") {
-        this.state.currentPlayerTurn = this.state.players[nextIndex].id;
+    const { turnOrder } = this.state;
+    for (let i = this.state.turnIndex + 1; i < turnOrder.length; i += 1) {
+      const player = this.state.players.find((p) => p.id === turnOrder[i]);
+      if (player && player.status === "Active") {
+        this.state.turnIndex = i;
+        this.beginTurn(player.id);
         return;
       }
     }
-    this.state.currentPlayerTurn = null;
+    // fin du tour de table : la nouvelle manche peut éliminer des joueurs ou
+    // clore la partie, l'ordre est donc recalculé après
+    const lastPlayer = this.state.players.find(
+      (p) => p.id === this.state.currentPlayerTurn
+    );
+    this.beginRound();
+    if (this.state.gameStatus !== "InProgress") return;
+    this.state.turnOrder = this.buildTurnOrder(lastPlayer && lastPlayer.team);
+    this.state.turnIndex = 0;
+    this.beginTurn(this.state.turnOrder[0] ?? null);
+  }
+
+  // Ordre d'un tour de table, depuis les joueurs encore actifs. En équipes,
+  // les camps alternent à chaque tour : l'équipe réduite par une élimination
+  // fait rejouer ses membres en boucle, pour jouer autant que l'autre, et
+  // l'équipe qui vient de jouer (lastTeam) passe en second.
+  buildTurnOrder(lastTeam = null) {
+    const active = this.state.players.filter((p) => p.status === "Active");
+    if (!this.rules.teamMode) return active.map((p) => p.id);
+    const byTeam = TEAMS.map((t) =>
+      active.filter((p) => p.team === t.id)
+    ).filter((members) => members.length > 0);
+    if (byTeam.length > 1 && byTeam[0][0].team === lastTeam) {
+      byTeam.push(byTeam.shift());
+    }
+    const longest = Math.max(...byTeam.map((members) => members.length));
+    const order = [];
+    for (let i = 0; i < longest; i += 1) {
+      byTeam.forEach((members) => {
+        order.push(members[i % members.length].id);
+      });
+    }
+    return order;
+  }
+
+  beginRound() {
+    const { maxRounds } = this.rules;
+    if (maxRounds && this.state.round >= maxRounds) {
+      this.finishByTiebreak("roundLimit");
+      return;
+    }
+    this.state.round += 1;
+    this.applyHazard();
+    if (this.state.gameStatus !== "InProgress") return;
+    this.shrinkArena();
+    this.spawnPowerUp();
+  }
+
+  /**
+   * Mort subite : à partir de rules.suddenDeathRound, un anneau de plus
+   * devient dangereux tous les shrinkInterval tours de table. Le centre
+   * du plateau ne l'est jamais.
+   */
+  shrinkArena() {
+    const { suddenDeathRound, shrinkInterval } = this.rules;
+    if (!suddenDeathRound || this.state.round < suddenDeathRound) return;
+    if ((this.state.round - suddenDeathRound) % shrinkInterval !== 0) return;
+    const maxLevel = Math.floor(
+      (Math.min(this.state.gridWidth, this.state.gridHeight) - 1) / 2
+    );
+    this.state.hazardLevel = Math.min(
+      (this.state.hazardLevel || 0) + 1,
+      maxLevel
+    );
+  }
+
+  // distance au bord : 0 pour l'anneau extérieur
+  getRing({ x, y }) {
+    return Math.min(
+      x,
+      y,
+      this.state.gridWidth - 1 - x,
+      this.state.gridHeight - 1 - y
+    );
   }
 
+  isHazard(position) {
+    return this.getRing(position) < (this.state.hazardLevel || 0);
+  }
+
+  // Dégâts de zone en début de tour de table, avant que l'arène ne se
+  // resserre : un anneau qui vient d'apparaître laisse un tour pour fuir.
+  // Si la zone éliminait tous les survivants d'un coup, on les départage.
+  applyHazard() {
+    if (!this.state.hazardLevel) return;
+    const active = this.state.players.filter((p) => p.status === "Active");
+    const victims = active.filter((p) => this.isHazard(p.position));
+    if (
+      victims.length === active.length &&
+      victims.every((p) => p.pdv <= this.rules.hazardDamage)
+    ) {
+      this.finishByTiebreak("hazard");
+      return;
+    }
+    const killed = [];
+    victims.forEach((player) => {
+      const eliminationsFrom = this.state.eliminationOrder.length;
+      player.pdv -= this.rules.hazardDamage;
+      if (player.pdv <= 0) {
+        this.markPlayerDefeated(player.id);
+        killed.push(player.id);
+      }
+      this.recordEvent({
+        actor: player,
+        actionType: "HAZARD",
+        damage: this.rules.hazardDamage,
+        eliminationsFrom,
+      });
+    });
+    this.recordTiedEliminations(killed);
+    this.checkVictory();
+  }
+
+  recordTiedEliminations(playerIds) {
+    if (playerIds.length < 2) return;
+    if (!this.state.tiedEliminations) this.state.tiedEliminations = [];
+    this.state.tiedEliminations.push(playerIds);
+  }
+
+  /**
+   * Départage des survivants (limite de tours, ou zone qui les éliminerait
+   * tous) : le plus de PDV l'emporte, puis le plus de dégâts infligés.
+   * Égalité parfaite en tête = match nul. Les autres survivants sont classés
+   * dans le même ordre via eliminationOrder, ex aequo à score égal.
+   */
+  finishByTiebreak(endReason) {
+    const stats = this.getPlayerStats();
+    // un camp par joueur, ou par équipe : PDV des survivants et dégâts de tous
+    const sides = new Map();
+    this.state.players
+      .filter((p) => p.status === "Active")
+      .forEach((player) => {
+        const key = player.team || player.id;
+        if (!sides.has(key)) {
+          const members = this.getSideMembers(player);
+          sides.set(key, {
+            members,
+            pdv: 0,
+            damageDealt: members.reduce(
+              (sum, m) => sum + stats.get(m.id).damageDealt,
+              0
+            ),
+          });
+        }
+        sides.get(key).pdv += player.pdv;
+      });
+    const ranked = [...sides.values()].sort(
+      (a, b) => b.pdv - a.pdv || b.damageDealt - a.damageDealt
+    );
+    const [first, second] = ranked;
+    const tied =
+      second &&
+      first.pdv === second.pdv &&
+      first.damageDealt === second.damageDealt;
+    const winners = tied ? [] : first.members;
+    const sameScore = (a, b) =>
+      a.pdv === b.pdv && a.damageDealt === b.damageDealt;
+    // camps classés par paquets de scores égaux, du moins bon au meilleur
+    const groups = [];
+    ranked
+      .filter((side) => tied || side !== first)
+      .forEach((side) => {
+        const group = groups[groups.length - 1];
+        if (group && sameScore(group[0], side)) group.push(side);
+        else groups.push([side]);
+      });
+    groups.reverse().forEach((group) => {
+      const ids = group
+        .flatMap((side) => side.members)
+        .filter((p) => p.status === "Active")
+        .map((p) => p.id);
+      this.state.eliminationOrder.push(...ids);
+      this.recordTiedEliminations(ids);
+    });
+    this.finishGame(winners, endReason);
+  }
+
+  beginTurn(playerId) {
+    this.state.currentPlayerTurn = playerId;
+    if (playerId) {
+      this.state.turn += 1;
+    }
+    this.state.turnEndsAt =
+      playerId && this.config.turnDurationMs
+        ? Date.now() + this.config.turnDurationMs
+        : null;
+    this.state.actionPointsLeft =
+      playerId && this.usesActionPoints() ? this.rules.actionPoints : null;
+    this.applyTurnStartEffects(playerId);
+  }
+
+  // début de tour : les effets de bonus s'usent, la case de soin rend des PDV
+  applyTurnStartEffects(playerId) {
+    const player = this.state.players.find((p) => p.id === playerId);
+    if (!player || !player.position) return;
+    this.tickEffects(player);
+    if (this.getTerrainAt(player.position) === "heal") {
+      player.pdv = Math.min(
+        player.pdv + (this.rules.healAmount || 0),
+        this.rules.playerHp
+      );
+    }
+  }
+
+  // dernier camp debout (joueur seul, ou équipe en mode équipes)
   checkVictory() {
+    if (this.state.gameStatus !== "InProgress") return;
     const active = this.state.players.filter((p) => p.status === "Active");
-    if (active.length === 1 && this.state.gameStatus === "InProgress") {
-      this.state.gameStatus = "Finished";
-      this.state.winner = active[0].pseudo;
-      this.state.winnerId = active[0].id;
-    } else if (active.length === 0 && this.state.gameStatus === "InProgress") {
-      this.state.gameStatus = "Finished";
-      this.state.winner = null;
-      this.state.winnerId = null;
+    const sides = new Set(active.map((p) => p.team || p.id));
+    if (sides.size === 1) {
+      this.finishGame(this.getSideMembers(active[0]), "lastStanding");
+    } else if (sides.size === 0) {
+      this.finishGame([], "lastStanding");
     }
   }
 
-  resetGame(gridSize = this.state.gridSize || ALLOWED_GRID_SIZES[0]) {
-    this.state = this.createInitialState(gridSize);
+  // winners : tous les membres du camp vainqueur (vide = match nul)
+  finishGame(winners, endReason) {
+    this.state.gameStatus = "Finished";
+    this.state.endReason = endReason;
+    this.state.winner =
+      winners.length > 0 ? winners.map((p) => p.pseudo).join(", ") : null;
+    this.state.winnerId = winners.length === 1 ? winners[0].id : null;
+    this.state.winnerIds = winners.map((p) => p.id);
+    this.state.winningTeam =
+      winners.length > 0 && winners[0].team ? winners[0].team : null;
+    this.state.turnEndsAt = null;
+    this.state.actionPointsLeft = null;
+    this.state.finishedAt = new Date().toISOString();
+  }
+
+  // dégâts infligés aux joueurs et obstacles posés, d'après le journal
+  getPlayerStats() {
+    const statsByPlayer = new Map(
+      this.state.players.map((p) => [
+        p.id,
+        { damageDealt: 0, obstaclesPlaced: 0 },
+      ])
+    );
+    this.history.forEach((event) => {
+      const stats = statsByPlayer.get(event.actorId);
+      if (!stats) return;
+      if (event.actionType === "ATTACK" && event.entityHit?.type === "player") {
+        stats.damageDealt += event.damage;
+      } else if (event.actionType === "PLACE_OBSTACLE") {
+        stats.obstaclesPlaced += 1;
+      }
+    });
+    return statsByPlayer;
+  }
+
+  /**
+   * Résumé d'une partie terminée : participants avec PDV finaux, classement
+   * (vainqueur puis ordre inverse d'élimination, ex aequo pour les joueurs
+   * éliminés ensemble), dégâts infligés aux joueurs et obstacles posés,
+   * calculés depuis le journal.
+   */
+  getMatchResult() {
+    const { state } = this;
+    const winnerIds = state.winnerIds || [];
+    const placementOrder = [
+      ...winnerIds,
+      ...[...state.eliminationOrder]
+        .reverse()
+        .filter((id) => !winnerIds.includes(id)),
+    ];
+    // en équipes, le classement est celui de l'équipe
+    const getPlacement = (player) => {
+      if (this.rules.teamMode) {
+        return winnerIds.length === 0 || winnerIds.includes(player.id) ? 1 : 2;
+      }
+      const placement = placementOrder.indexOf(player.id);
+      if (placement === -1) return state.players.length;
+      // ex aequo : la meilleure place du groupe
+      const group = (state.tiedEliminations || []).find((ids) =>
+        ids.includes(player.id)
+      );
+      if (!group) return placement + 1;
+      return Math.min(...group.map((id) => placementOrder.indexOf(id))) + 1;
+    };
+    const statsByPlayer = this.getPlayerStats();
+
+    const startedAt = state.startedAt ? Date.parse(state.startedAt) : null;
+    const finishedAt = state.finishedAt ? Date.parse(state.finishedAt) : null;
+
+    return {
+      matchId: state.matchId,
+      startedAt: state.startedAt,
+      finishedAt: state.finishedAt,
+      durationMs: startedAt && finishedAt ? finishedAt - startedAt : null,
+      turns: state.turn,
+      winnerId: state.winnerId,
+      winnerPseudo: state.winner,
+      winningTeam: state.winningTeam,
+      participants: state.players.map((player) => ({
+        playerId: player.id,
+        userId: player.userId,
+        pseudo: player.pseudo,
+        couleur: player.couleur,
+        team: player.team,
+        finalHp: Math.max(player.pdv, 0),
+        placement: getPlacement(player),
+        isWinner: winnerIds.includes(player.id),
+        ...statsByPlayer.get(player.id),
+      })),
+    };
+  }
+
+  resetGame(gridSize = this.getGridSize()) {
+    this.startNewMatch(gridSize);
   }
 
   normalizeColor(color) {
@@ -390,6 +1766,11 @@ class GameStateManager {
 
 module.exports = {
   GameStateManager,
+  TEAMS,
+  MIN_PLAYERS,
   MAX_PLAYERS,
-  ALLOWED_GRID_SIZES,
+  MIN_GRID_SIZE,
+  MAX_GRID_SIZE,
+  DEFAULT_GRID_SIZE,
+  parseGridSize,
 };
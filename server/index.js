@@ -1,3 +1,4 @@
+const { randomUUID } = require("crypto");
 const path = require("path");
 const http = require("http");
 const express = require("express");
@@ -6,11 +7,34 @@ const { supabase } = require("../supabaseClient");
 const jwt = require("jsonwebtoken");
 const url = require("url");
 
+const { GameStateManager } = require("./gameState");
+const { ERROR_CODES, GameError } = require("./errors");
+
+const {
+  MAX_CHAT_LENGTH,
+  RoomManager,
+  parseChatText,
+} = require("./rooms");
+const {
+  CLOSE_CODES,
+  PROTOCOL_ERRORS,
+  SERVER_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  buildAsyncApiDocument,
+  parseClientMessage,
+} = require("./protocol");
 const {
-  GameStateManager,
-  MAX_PLAYERS,
-  ALLOWED_GRID_SIZES,
-} = require("./gameState");
+  DEFAULT_RULES_PRESET,
+  RULE_PRESETS,
+  RULES_SCHEMA,
+} = require("./rules");
+const { getMap, listMaps } = require("./maps");
+const { createReplay } = require("./replay");
+const { diffState } = require("./statePatch");
+const { createMatchStorage } = require("./storage");
+const { createPlayersRouter } = require("./players");
+const { computeRatingChanges } = require("./rating");
+const { BOT_DIFFICULTIES, chooseBotAction, pickBotColor } = require("./bots");
 
 const { specs, swaggerUi } = require("../swagger");
 
@@ -20,11 +44,35 @@ const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-key-change-me";
 
 const PORT = process.env.PORT || 3000;
 
+// Délai pendant lequel le siège d'un joueur authentifié déconnecté est conservé
+const RECONNECT_GRACE_MS =
+  parseInt(process.env.RECONNECT_GRACE_MS, 10) || 30000;
+
+// Durée d'un tour par défaut (0 = illimité) et forfait après N tours manqués
+const TURN_DURATION_MS = parseInt(
+  process.env.TURN_DURATION_MS ?? "60000",
+  10
+);
+const MAX_MISSED_TURNS = parseInt(process.env.MAX_MISSED_TURNS, 10) || 3;
+
+// Délai avant qu'un bot ne joue, pour que les humains suivent son coup
+const BOT_TURN_DELAY_MS = parseInt(process.env.BOT_TURN_DELAY_MS, 10) || 800;
+
+// Une socket qui n'envoie pas HELLO dans ce délai est fermée
+const HELLO_TIMEOUT_MS = parseInt(process.env.HELLO_TIMEOUT_MS, 10) || 10000;
+
+// Intervalle des ping : une socket qui n'a pas répondu au précédent est
+// coupée, ce qui libère (ou réserve) son siège
+const HEARTBEAT_INTERVAL_MS =
+  parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || 30000;
+
 const app = express();
 const publicPath = path.join(__dirname, "..", "public");
 
 app.use(express.json());
 
+const matchStorage = createMatchStorage();
+
 app.use(express.static(publicPath));
 
 /**
@@ -77,24 +125,391 @@ app.get("/api/health", (req, res) => {
  *                     role:
  *                       type: string
  *                       example: "player"
+ *                     rating:
+ *                       type: integer
+ *                       description: Elo rating, updated after each finished match
+ *                       example: 1016
+ *                 stats:
+ *                   $ref: '#/components/schemas/PlayerStats'
  *       401:
  *         description: Missing or invalid JWT
  */
-app.get("/api/profile", authRouter.jwtAuth, (req, res) => {
+app.get("/api/profile", authRouter.jwtAuth, async (req, res) => {
+  let stats = null;
+  try {
+    stats = await matchStorage.getPlayerStats(req.user.id);
+  } catch (error) {
+    console.error("[profile] Unable to load stats:", error.message);
+  }
   res.json({
     message: "Authenticated profile endpoint",
-    user: req.user,
+    user: { ...req.user, rating: stats ? stats.rating : null },
+    stats,
   });
 });
 
+app.use("/api", createPlayersRouter(matchStorage));
+
+const rooms = new RoomManager({
+  turnDurationMs: TURN_DURATION_MS > 0 ? TURN_DURATION_MS : null,
+  maxMissedTurns: MAX_MISSED_TURNS,
+});
+
+/**
+ * @swagger
+ * /api/rooms:
+ *   get:
+ *     summary: List game rooms
+ *     description: >
+ *       Returns every room hosted by the server with its game status and
+ *       number of seated players. Use `status=Lobby` to only get rooms that
+ *       can still be joined as a player.
+ *     tags:
+ *       - Rooms
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Lobby, InProgress, Finished]
+ *     responses:
+ *       200:
+ *         description: List of rooms
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rooms:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: "main"
+ *                       name:
+ *                         type: string
+ *                         example: "Salon principal"
+ *                       status:
+ *                         type: string
+ *                         example: "Lobby"
+ *                       playerCount:
+ *                         type: integer
+ *                         example: 2
+ *                       maxPlayers:
+ *                         type: integer
+ *                         example: 4
+ *                       spectatorCount:
+ *                         type: integer
+ *                         example: 1
+ *                       gridWidth:
+ *                         type: integer
+ *                         example: 9
+ *                       gridHeight:
+ *                         type: integer
+ *                         example: 9
+ *                       rulesPreset:
+ *                         type: string
+ *                         example: "classic"
+ *                       teamMode:
+ *                         type: boolean
+ *                         example: false
+ *                       fogOfWar:
+ *                         type: boolean
+ *                         example: false
+ *                       spectatorDelay:
+ *                         type: integer
+ *                         description: Turns of delay of the spectator feed under fog of war
+ *                         example: 0
+ *                       mapId:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "riviere"
+ */
+app.get("/api/rooms", (req, res) => {
+  res.json({ rooms: rooms.listRooms({ status: req.query.status }) });
+});
+
+/**
+ * @swagger
+ * /api/rules:
+ *   get:
+ *     summary: List rule presets
+ *     description: >
+ *       Returns the named rule presets and the JSON schema a custom rules
+ *       object must satisfy. Send either a preset name or an object
+ *       `{ preset, ...overrides }` as `rules` in the `CREATE_ROOM` message.
+ *     tags:
+ *       - Rooms
+ *     responses:
+ *       200:
+ *         description: Presets and rules schema
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 defaultPreset:
+ *                   type: string
+ *                   example: "classic"
+ *                 presets:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                 schema:
+ *                   type: object
+ */
+app.get("/api/rules", (req, res) => {
+  res.json({
+    defaultPreset: DEFAULT_RULES_PRESET,
+    presets: RULE_PRESETS,
+    schema: RULES_SCHEMA,
+  });
+});
+
+/**
+ * @swagger
+ * /api/maps:
+ *   get:
+ *     summary: List board maps
+ *     description: >
+ *       Returns the predefined maps the lobby host can pick with the
+ *       `SET_MAP` message. Terrain cells are walls (block moves and attacks),
+ *       water (blocks moves only), healing tiles and high ground.
+ *     tags:
+ *       - Rooms
+ *     responses:
+ *       200:
+ *         description: Available maps
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 maps:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: "riviere"
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       width:
+ *                         type: integer
+ *                       height:
+ *                         type: integer
+ *                       terrain:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             position:
+ *                               type: object
+ *                             type:
+ *                               type: string
+ *                               enum: [wall, water, heal, high]
+ */
+app.get("/api/maps", (req, res) => {
+  res.json({ maps: listMaps() });
+});
+
+/**
+ * @swagger
+ * /api/rooms/{roomId}/history:
+ *   get:
+ *     summary: Get the action log of a room's current match
+ *     description: >
+ *       Returns every event recorded since the match started, in order:
+ *       moves, attacks (entity hit, damage, destroyed obstacles,
+ *       eliminations), obstacle placements, skipped turns and forfeits.
+ *       During a fog-of-war match, only the events spectators can already
+ *       see are listed (see `spectatorDelay`), without their `from` and
+ *       `target` cells.
+ *     tags:
+ *       - Rooms
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Match history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roomId:
+ *                   type: string
+ *                 matchId:
+ *                   type: string
+ *                 gameStatus:
+ *                   type: string
+ *                   example: "InProgress"
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       seq:
+ *                         type: integer
+ *                         example: 1
+ *                       turn:
+ *                         type: integer
+ *                         example: 1
+ *                       actorPseudo:
+ *                         type: string
+ *                         example: "Cathy"
+ *                       actionType:
+ *                         type: string
+ *                         enum: [MOVE, ATTACK, PLACE_OBSTACLE, TURN_SKIPPED, FORFEIT]
+ *                       target:
+ *                         type: object
+ *                         nullable: true
+ *                       entityHit:
+ *                         type: object
+ *                         nullable: true
+ *                       damage:
+ *                         type: integer
+ *                       obstaclesDestroyed:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       eliminations:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       404:
+ *         description: Room not found
+ */
+app.get("/api/rooms/:roomId/history", (req, res) => {
+  const room = rooms.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+  // sous le brouillard, ce journal public ne doit rien révéler aux joueurs
+  const fog = room.game.usesFog();
+  const visibleSeq = room.getSpectatorView().seq;
+  const events = room.game
+    .getHistory()
+    .filter((event) => event.seq <= visibleSeq)
+    .map((event) => (fog ? { ...event, from: null, target: null } : event));
+  return res.json({
+    roomId: room.id,
+    matchId: room.game.state.matchId,
+    gameStatus: room.game.state.gameStatus,
+    events,
+  });
+});
+
+/**
+ * @swagger
+ * /api/rooms/{roomId}/replay:
+ *   get:
+ *     summary: Export the replay of the last finished match of a room
+ *     description: >
+ *       Returns a versioned JSON replay file (`format`, `version`) holding the
+ *       initial state (grid size, players, colours, starting positions), every
+ *       accepted action in order, the result, and the state after each action
+ *       (`frames`) for step-by-step viewing.
+ *     tags:
+ *       - Rooms
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Replay file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format:
+ *                   type: string
+ *                   example: "jeu-tp-web-service/replay"
+ *                 version:
+ *                   type: integer
+ *                   example: 1
+ *                 matchId:
+ *                   type: string
+ *                 initialState:
+ *                   type: object
+ *                 rng:
+ *                   type: object
+ *                   description: Random generator at match start (seed and state)
+ *                   properties:
+ *                     seed:
+ *                       type: integer
+ *                     state:
+ *                       type: integer
+ *                 actions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 result:
+ *                   type: object
+ *                 frames:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Room not found or no finished match yet
+ */
+app.get("/api/rooms/:roomId/replay", (req, res) => {
+  const room = rooms.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+  if (!room.lastReplay) {
+    return res.status(404).json({ error: "No finished match in this room" });
+  }
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="replay-${room.lastReplay.matchId}.json"`
+  );
+  return res.json(room.lastReplay);
+});
+
 app.use("/api/auth", authRouter);
 
+/**
+ * @swagger
+ * /docs/asyncapi.json:
+ *   get:
+ *     summary: AsyncAPI description of the WebSocket protocol
+ *     description: >
+ *       Every client and server message type with its payload schema, the
+ *       HELLO / WELCOME handshake and the protocol version.
+ *     tags:
+ *       - Docs
+ *     responses:
+ *       200:
+ *         description: AsyncAPI 2.6 document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ */
+app.get("/docs/asyncapi.json", (req, res) => {
+  res.json(buildAsyncApiDocument({ url: req.get("host") }));
+});
+
 app.use("/docs", swaggerUi.serve, swaggerUi.setup(specs));
 
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
 
-const game = new GameStateManager();
 const clients = new Map();
 
 const stringify = (type, payload) => JSON.stringify({ type, payload });
@@ -105,25 +520,321 @@ const send = (ws, type, payload) => {
   }
 };
 
-const broadcast = (type, payload) => {
+// Refus d'un message : code stable pour les clients, message lisible et
+// détails éventuels (voir protocol.js)
+const sendError = (ws, code, message, details) => {
+  send(
+    ws,
+    "ACTION_INVALID",
+    details ? { code, message, details } : { code, message }
+  );
+};
+
+// Erreur levée par une règle du jeu : une GameError porte son propre code,
+// toute autre erreur est un refus générique
+const sendRejection = (ws, error) => {
+  if (error instanceof GameError) {
+    sendError(ws, error.code, error.message, error.details);
+    return;
+  }
+  sendError(ws, ERROR_CODES.ACTION_REJECTED, error.message);
+};
+
+// Diffusion limitée aux sockets d'un salon
+const broadcast = (room, type, payload) => {
   const message = stringify(type, payload);
-  wss.clients.forEach((client) => {
+  room.clients.forEach((client) => {
     if (client.readyState === WebSocket.OPEN) {
       client.send(message);
     }
   });
 };
 
-const broadcastGameState = () => {
-  broadcast("GAME_STATE_UPDATE", game.getSnapshot());
-  if (game.state.gameStatus === "Finished") {
-    broadcast("GAME_OVER", { winnerPseudo: game.state.winner });
+// Diffusion à toutes les sockets connectées, tous salons confondus, une fois
+// leur poignée de main faite
+const broadcastAll = (type, payload) => {
+  const message = stringify(type, payload);
+  wss.clients.forEach((client) => {
+    const meta = clients.get(client);
+    if (client.readyState === WebSocket.OPEN && meta && meta.protocolVersion) {
+      client.send(message);
+    }
+  });
+};
+
+const broadcastRoomList = () => {
+  broadcastAll("ROOM_LIST", { rooms: rooms.listRooms() });
+};
+
+// Socket qui reçoit la vue d'un joueur : la sienne, sauf sous le brouillard
+// une fois tous les pions de son camp éliminés. null = vue spectateur.
+const getViewerId = (room, ws) => {
+  const meta = clients.get(ws);
+  if (!meta || !meta.playerId) return null;
+  const { game } = room;
+  return !game.usesFog() || game.getVisionSources(meta.playerId).length > 0
+    ? meta.playerId
+    : null;
+};
+
+const getStateFor = (room, ws) => {
+  const playerId = getViewerId(room, ws);
+  return playerId
+    ? room.game.getPlayerView(playerId)
+    : room.getSpectatorView().snapshot;
+};
+
+// État complet à la version courante du salon ; il devient la base des
+// prochains GAME_STATE_PATCH de cette socket
+const takeFullState = (room, ws) => {
+  const { stateCursor } = room;
+  const state = getStateFor(room, ws);
+  stateCursor.clients.set(ws, { version: stateCursor.version, state });
+  return { version: stateCursor.version, state };
+};
+
+const sendFullState = (room, ws) => {
+  send(ws, "GAME_STATE_UPDATE", takeFullState(room, ws));
+};
+
+// Nouvelle version de l'état : chaque socket reçoit la différence avec le
+// dernier état qu'elle a reçu, ou rien si sa vue n'a pas changé
+const broadcastStatePatches = (room) => {
+  const { stateCursor } = room;
+  stateCursor.version += 1;
+  const { version } = stateCursor;
+  const sharedState = room.game.usesFog() ? null : room.game.getSnapshot();
+  room.clients.forEach((client) => {
+    const base = stateCursor.clients.get(client);
+    if (!base) {
+      sendFullState(room, client);
+      return;
+    }
+    const state = sharedState || getStateFor(room, client);
+    const patch = diffState(base.state, state);
+    if (patch.length === 0) return;
+    stateCursor.clients.set(client, { version, state });
+    send(client, "GAME_STATE_PATCH", {
+      baseVersion: base.version,
+      version,
+      patch,
+    });
+  });
+};
+
+// Diffuse chaque nouvelle entrée du journal comme un message à part. Sous le
+// brouillard, chaque joueur reçoit sa version des événements et les
+// spectateurs suivent le direct différé.
+const broadcastNewEvents = (room) => {
+  const { game } = room;
+  const { matchId } = game.state;
+  if (room.eventCursor.matchId !== matchId) {
+    room.eventCursor = {
+      matchId,
+      seq: 0,
+      spectatorSeq: 0,
+      clients: new WeakMap(),
+    };
+  }
+  const cursor = room.eventCursor;
+  const liveSeq = game.history.length;
+  const spectatorSeq = room.getSpectatorView().seq;
+  room.clients.forEach((client) => {
+    const playerId = getViewerId(room, client);
+    // une socket arrivée depuis la dernière diffusion part du curseur commun
+    const fromSeq =
+      cursor.clients.get(client) ??
+      (playerId ? cursor.seq : cursor.spectatorSeq);
+    const toSeq = playerId ? liveSeq : spectatorSeq;
+    game
+      .getHistory(fromSeq)
+      .filter((event) => event.seq <= toSeq)
+      .forEach((event) => {
+        send(client, "GAME_EVENT", {
+          matchId,
+          event: playerId ? game.getEventView(event, playerId) : event,
+        });
+      });
+    cursor.clients.set(client, Math.max(fromSeq, toSeq));
+  });
+  cursor.seq = liveSeq;
+  cursor.spectatorSeq = spectatorSeq;
+};
+
+// Cases jouables, envoyées au seul joueur dont c'est le tour
+const sendLegalTargets = (room) => {
+  const { gameStatus, currentPlayerTurn, turn } = room.game.state;
+  if (gameStatus !== "InProgress" || !currentPlayerTurn) return;
+  room.clients.forEach((client) => {
+    const meta = clients.get(client);
+    if (meta && meta.playerId === currentPlayerTurn) {
+      send(client, "LEGAL_TARGETS", {
+        turn,
+        playerId: currentPlayerTurn,
+        targets: room.game.getVisibleLegalActions(currentPlayerTurn),
+      });
+    }
+  });
+};
+
+const broadcastGameState = (room) => {
+  room.recordSpectatorFrame();
+  broadcastNewEvents(room);
+  broadcastStatePatches(room);
+  sendLegalTargets(room);
+  if (room.game.state.gameStatus === "Finished") {
+    archiveFinishedMatch(room);
+    const { state } = room.game;
+    broadcast(room, "GAME_OVER", {
+      winnerPseudo: state.winner,
+      // tous les vainqueurs, coéquipiers éliminés compris
+      winners: state.players
+        .filter((p) => state.winnerIds.includes(p.id))
+        .map((p) => p.pseudo),
+      winningTeam: state.winningTeam,
+      endReason: state.endReason,
+    });
+  }
+  scheduleTurnTimer(room);
+  scheduleBotTurn(room);
+};
+
+// Une seule fois par partie terminée : on fige son replay et on enregistre
+// le résultat en base
+const archiveFinishedMatch = (room) => {
+  const { matchId } = room.game.state;
+  if (room.archivedMatchId === matchId) return;
+  room.archivedMatchId = matchId;
+  try {
+    room.lastReplay = createReplay(room.game, { roomName: room.name });
+  } catch (error) {
+    console.error("[replay] Unable to record match:", error.message);
+  }
+  recordMatchResult(room).catch((error) => {
+    console.error("[storage] Unable to save match", matchId, error.message);
+  });
+};
+
+// Calcule le nouvel Elo des joueurs authentifiés, enregistre la partie puis
+// annonce les variations au salon
+const recordMatchResult = async (room) => {
+  const result = { ...room.game.getMatchResult(), roomName: room.name };
+  const rated = await Promise.all(
+    result.participants
+      .filter((participant) => participant.userId)
+      .map(async (participant) => ({
+        ...participant,
+        rating: (await matchStorage.getPlayerStats(participant.userId)).rating,
+      }))
+  );
+  const changes = computeRatingChanges(rated);
+  result.participants = result.participants.map((participant) => {
+    const change = changes.get(participant.userId);
+    return change
+      ? {
+          ...participant,
+          ratingBefore: change.before,
+          ratingAfter: change.after,
+          ratingDelta: change.delta,
+        }
+      : participant;
+  });
+
+  await matchStorage.saveMatch(result);
+
+  if (changes.size > 0) {
+    broadcast(room, "RATING_UPDATE", {
+      matchId: result.matchId,
+      ratings: result.participants
+        .filter((participant) => changes.has(participant.userId))
+        .map((participant) => ({
+          playerId: participant.playerId,
+          pseudo: participant.pseudo,
+          rating: participant.ratingAfter,
+          delta: participant.ratingDelta,
+        })),
+    });
   }
 };
 
-const parseGridSize = (value) => {
-  const parsed = parseInt(value, 10);
-  return ALLOWED_GRID_SIZES.includes(parsed) ? parsed : null;
+// (Re)arme le minuteur du tour courant à partir de turnEndsAt
+const scheduleTurnTimer = (room) => {
+  const { gameStatus, currentPlayerTurn, turnEndsAt } = room.game.state;
+  if (gameStatus !== "InProgress" || !currentPlayerTurn || !turnEndsAt) {
+    room.clearTurnTimer();
+    return;
+  }
+  room.setTurnTimer(Math.max(turnEndsAt - Date.now(), 0), () => {
+    const { state } = room.game;
+    if (
+      state.currentPlayerTurn !== currentPlayerTurn ||
+      state.turnEndsAt !== turnEndsAt
+    ) {
+      return;
+    }
+    handleTurnTimeout(room, currentPlayerTurn);
+  });
+};
+
+// Si c'est au tour d'un bot, il joue après BOT_TURN_DELAY_MS
+const scheduleBotTurn = (room) => {
+  const { gameStatus, currentPlayerTurn, turn } = room.game.state;
+  const current = room.game.state.players.find(
+    (p) => p.id === currentPlayerTurn
+  );
+  if (gameStatus !== "InProgress" || !current || !current.bot) {
+    room.clearBotTimer();
+    return;
+  }
+  room.setBotTimer(BOT_TURN_DELAY_MS, () => {
+    const { state } = room.game;
+    if (state.currentPlayerTurn !== current.id || state.turn !== turn) return;
+    playBotTurn(room, current);
+  });
+};
+
+const playBotTurn = (room, bot) => {
+  try {
+    const action = chooseBotAction(room.game, bot.id, bot.bot.difficulty);
+    if (action) {
+      applyAction(room.game, bot.id, action.actionType, action.target);
+    } else {
+      // Bloqué sans action possible : le tour passe comme un temps écoulé
+      room.game.skipTurn(bot.id);
+    }
+  } catch (error) {
+    console.error("[bot] Unable to play turn:", error.message);
+    room.game.skipTurn(bot.id);
+  }
+  broadcastGameState(room);
+  if (room.game.state.gameStatus === "Finished") {
+    broadcastRoomList();
+  }
+};
+
+const handleTurnTimeout = (room, playerId) => {
+  let player;
+  try {
+    player = room.game.skipTurn(playerId);
+  } catch (error) {
+    console.error("[turn timer] Unable to skip turn:", error.message);
+    return;
+  }
+  broadcast(room, "TURN_TIMEOUT", {
+    playerId: player.id,
+    pseudo: player.pseudo,
+    missedTurns: player.missedTurns,
+    defeated: player.status === "Defeated",
+  });
+  broadcastGameState(room);
+  if (room.game.state.gameStatus === "Finished") {
+    broadcastRoomList();
+  }
+};
+
+const getClientRoom = (ws) => {
+  const meta = clients.get(ws);
+  return meta ? rooms.getRoom(meta.roomId) : null;
 };
 
 wss.on("connection", (ws, req) => {
@@ -144,51 +855,308 @@ wss.on("connection", (ws, req) => {
     console.error("[WebSocket] Invalid or missing token:", err.message);
   }
 
-  // We store the user (if any) in the client metadata
-  clients.set(ws, { type: "spectator", user: userFromToken });
+  // We store the user (if any) in the client metadata. chatId identifies the
+  // author of chat messages (user id, or a per-socket id for guests) and
+  // mutedChatIds the authors this socket no longer wants to read.
+  clients.set(ws, {
+    type: "spectator",
+    user: userFromToken,
+    roomId: null,
+    chatId: userFromToken ? userFromToken.id : randomUUID(),
+    mutedChatIds: new Set(),
+    isAlive: true,
+  });
+
+  ws.on("pong", () => {
+    const clientMeta = clients.get(ws);
+    if (clientMeta) clientMeta.isAlive = true;
+  });
 
-  send(ws, "GAME_STATE_UPDATE", game.getSnapshot());
+  // Nothing is sent before the HELLO / WELCOME handshake
+  const helloTimer = setTimeout(() => {
+    ws.close(CLOSE_CODES.HELLO_TIMEOUT, "HELLO expected");
+  }, HELLO_TIMEOUT_MS);
 
   ws.on("message", (raw) => {
-    let message;
-    try {
-      message = JSON.parse(raw);
-    } catch (err) {
-      send(ws, "ACTION_INVALID", { message: "Invalid JSON message." });
+    const { message, error } = parseClientMessage(raw);
+    if (error) {
+      sendError(ws, error.code, error.message, error.details);
       return;
     }
     const { type, payload } = message;
+    const clientMeta = clients.get(ws);
+    if (type === "HELLO") {
+      clearTimeout(helloTimer);
+      handleHello(ws, payload);
+      return;
+    }
+    if (!clientMeta.protocolVersion) {
+      sendError(
+        ws,
+        PROTOCOL_ERRORS.HELLO_REQUIRED,
+        "Send HELLO { protocolVersion } first."
+      );
+      return;
+    }
     switch (type) {
+      case "LIST_ROOMS":
+        send(ws, "ROOM_LIST", { rooms: rooms.listRooms() });
+        break;
+      case "CREATE_ROOM":
+        handleCreateRoom(ws, payload);
+        break;
+      case "JOIN_ROOM":
+        handleJoinRoom(ws, payload);
+        break;
+      case "LEAVE_ROOM":
+        handleLeaveRoom(ws);
+        break;
+      case "RESYNC_STATE":
+        handleResyncState(ws);
+        break;
       case "JOIN_GAME":
         handleJoin(ws, payload);
         break;
+      case "ADD_BOT":
+        handleAddBot(ws, payload);
+        break;
+      case "SET_PLAYER_LIMITS":
+        handleSetPlayerLimits(ws, payload);
+        break;
+      case "SET_TEAM":
+        handleSetTeam(ws, payload);
+        break;
+      case "SET_MAP":
+        handleSetMap(ws, payload);
+        break;
+      case "START_GAME":
+        handleStartGame(ws);
+        break;
       case "REQUEST_ACTION":
         handleRequestAction(ws, payload);
         break;
+      case "END_TURN":
+        handleEndTurn(ws);
+        break;
       case "RESET_GAME":
         handleResetGame(ws);
         break;
+      case "CHAT_MESSAGE":
+        handleChatMessage(ws, payload);
+        break;
+      case "MUTE_USER":
+        handleMuteUser(ws, payload);
+        break;
       default:
-        send(ws, "ACTION_INVALID", { message: "Unknown message type." });
+        break;
     }
   });
 
   ws.on("close", () => {
-    handleDisconnect(ws);
+    clearTimeout(helloTimer);
+    exitRoom(ws, { holdSeat: true });
     clients.delete(ws);
+    broadcastRoomList();
   });
 });
 
+// Poignée de main : le client annonce sa version du protocole, puis entre
+// dans le salon par défaut (ou reprend son siège réservé)
+const handleHello = (ws, payload) => {
+  const clientMeta = clients.get(ws);
+  if (clientMeta.protocolVersion) {
+    sendError(
+      ws,
+      PROTOCOL_ERRORS.HELLO_ALREADY_RECEIVED,
+      "Handshake already done."
+    );
+    return;
+  }
+  if (!SUPPORTED_PROTOCOL_VERSIONS.includes(payload.protocolVersion)) {
+    sendError(
+      ws,
+      PROTOCOL_ERRORS.UNSUPPORTED_PROTOCOL_VERSION,
+      `Protocol version ${payload.protocolVersion} is not supported.`,
+      { supportedVersions: SUPPORTED_PROTOCOL_VERSIONS }
+    );
+    ws.close(CLOSE_CODES.UNSUPPORTED_PROTOCOL_VERSION, "Unsupported protocol");
+    return;
+  }
+  clients.set(ws, { ...clientMeta, protocolVersion: payload.protocolVersion });
+  send(ws, "WELCOME", {
+    protocolVersion: payload.protocolVersion,
+    serverVersion: SERVER_VERSION,
+  });
+
+  // A returning player takes back their held seat. A reconnecting client
+  // names the room it was in (roomId) and goes back to it as a spectator;
+  // everyone else starts in the default room.
+  const userId = clientMeta.user && clientMeta.user.id;
+  if (payload.roomId && userId) {
+    dropStaleSockets(ws, userId);
+  }
+  const heldRoom = rooms.findRoomWithHeldSeat(userId);
+  const resumedRoom = payload.roomId ? rooms.getRoom(payload.roomId) : null;
+  if (heldRoom) {
+    rejoinRoom(ws, heldRoom);
+  } else {
+    enterRoom(ws, resumedRoom || rooms.getDefaultRoom());
+  }
+  send(ws, "ROOM_LIST", { rooms: rooms.listRooms() });
+};
+
+// Un client qui se reconnecte peut précéder la détection de sa coupure :
+// l'ancienne socket du même joueur est coupée tout de suite et son siège
+// réservé, pour que la nouvelle le reprenne
+const dropStaleSockets = (ws, userId) => {
+  clients.forEach((clientMeta, other) => {
+    if (
+      other !== ws &&
+      clientMeta.type === "player" &&
+      clientMeta.user &&
+      clientMeta.user.id === userId
+    ) {
+      exitRoom(other, { holdSeat: true });
+      clients.delete(other);
+      other.terminate();
+    }
+  });
+};
+
+// Place la socket dans un salon en tant que spectateur
+const enterRoom = (ws, room) => {
+  const clientMeta = clients.get(ws);
+  room.clients.add(ws);
+  clients.set(ws, {
+    ...clientMeta,
+    type: "spectator",
+    playerId: null,
+    roomId: room.id,
+  });
+  sendChatHistory(ws, room);
+  send(ws, "ROOM_JOINED", { room: room.getSummary() });
+  sendFullState(room, ws);
+};
+
+// Reprend le siège réservé d'un joueur qui se reconnecte
+const rejoinRoom = (ws, room) => {
+  const clientMeta = clients.get(ws);
+  const playerId = room.releaseSeat(clientMeta.user.id);
+  // le lobby a pu repartir à zéro entre-temps : plus de siège à reprendre
+  if (!room.game.state.players.some((p) => p.id === playerId)) {
+    enterRoom(ws, room);
+    return;
+  }
+  room.clients.add(ws);
+  clients.set(ws, {
+    ...clientMeta,
+    type: "player",
+    playerId,
+    roomId: room.id,
+  });
+  room.game.setPlayerConnected(playerId, true);
+  sendChatHistory(ws, room);
+  send(ws, "REJOINED", {
+    playerId,
+    room: room.getSummary(),
+    ...takeFullState(room, ws),
+  });
+  broadcastGameState(room);
+};
+
+// Retire la socket de son salon courant. Un joueur qui quitte volontairement
+// abandonne ; une coupure (holdSeat) lui laisse le délai de reconnexion.
+const exitRoom = (ws, { holdSeat = false } = {}) => {
+  const room = getClientRoom(ws);
+  if (!room) return;
+  handleDisconnect(ws, room, { holdSeat });
+  room.clients.delete(ws);
+  clients.set(ws, {
+    ...clients.get(ws),
+    type: "spectator",
+    playerId: null,
+    roomId: null,
+  });
+  rooms.removeRoomIfEmpty(room);
+};
+
+const handleCreateRoom = (ws, payload = {}) => {
+  let room;
+  try {
+    room = rooms.createRoom({
+      name: payload.name,
+      turnDuration: payload.turnDuration,
+      maxMissedTurns: payload.maxMissedTurns,
+      rules: payload.rules,
+      seed: payload.seed,
+      spectatorDelay: payload.spectatorDelay,
+    });
+  } catch (error) {
+    sendError(ws, ERROR_CODES.INVALID_ROOM_CONFIG, error.message);
+    return;
+  }
+  exitRoom(ws);
+  enterRoom(ws, room);
+  broadcastRoomList();
+};
+
+const handleJoinRoom = (ws, payload = {}) => {
+  const room = rooms.getRoom(payload.roomId);
+  if (!room) {
+    sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, "Room not found.");
+    return;
+  }
+  if (getClientRoom(ws) === room) {
+    sendError(ws, ERROR_CODES.ALREADY_IN_ROOM, "Already in this room.");
+    return;
+  }
+  exitRoom(ws);
+  enterRoom(ws, room);
+  broadcastRoomList();
+};
+
+const handleLeaveRoom = (ws) => {
+  const defaultRoom = rooms.getDefaultRoom();
+  if (getClientRoom(ws) === defaultRoom) {
+    sendError(
+      ws,
+      ERROR_CODES.CANNOT_LEAVE_DEFAULT_ROOM,
+      "Cannot leave the default room."
+    );
+    return;
+  }
+  exitRoom(ws);
+  enterRoom(ws, defaultRoom);
+  broadcastRoomList();
+};
+
+// Le client a manqué une version ou n'a pas pu appliquer un patch : on lui
+// renvoie l'état complet
+const handleResyncState = (ws) => {
+  const room = getClientRoom(ws);
+  if (!room) {
+    sendError(ws, ERROR_CODES.NOT_IN_ROOM, "Join a room first.");
+    return;
+  }
+  sendFullState(room, ws);
+};
+
 const handleJoin = (ws, payload = {}) => {
   const clientMeta = clients.get(ws) || {};
+  const room = getClientRoom(ws);
+  if (!room) {
+    sendError(ws, ERROR_CODES.NOT_IN_ROOM, "Join a room first.");
+    return;
+  }
+  const { game } = room;
 
   if (clientMeta.type === "player") {
-    send(ws, "ACTION_INVALID", { message: "Player already joined." });
+    sendError(ws, ERROR_CODES.ALREADY_JOINED, "Player already joined.");
     return;
   }
 
   if (
-    game.state.players.length >= MAX_PLAYERS ||
+    game.state.players.length >= game.state.maxPlayers ||
     game.state.gameStatus !== "Lobby"
   ) {
     send(ws, "JOINED_AS_SPECTATOR", {
@@ -207,9 +1175,15 @@ const handleJoin = (ws, payload = {}) => {
     const player = game.addPlayer({
       pseudo,
       color: payload.couleur || payload.color,
-      gridSizeOverride: parseGridSize(payload.gridSize),
+      // { width, height } ou un nombre pour une grille carrée
+      gridSizeOverride:
+        payload.gridWidth || payload.gridHeight
+          ? { width: payload.gridWidth, height: payload.gridHeight }
+          : payload.gridSize,
       // optionnel : lier aussi l'id Supabase
       userId: clientMeta.user ? clientMeta.user.id : null,
+      // mode équipes : "red" / "blue", sinon l'équipe la moins remplie
+      team: payload.team,
     });
 
     clients.set(ws, {
@@ -219,76 +1193,341 @@ const handleJoin = (ws, payload = {}) => {
     });
 
     send(ws, "JOINED_AS_PLAYER", { playerId: player.id });
-    broadcastGameState();
+    broadcastGameState(room);
+    broadcastRoomList();
   } catch (error) {
-    send(ws, "ACTION_INVALID", { message: error.message });
+    sendRejection(ws, error);
   }
 };
 
-const handleRequestAction = (ws, payload = {}) => {
+// Salon et joueur si c'est bien au tour de cette socket, sinon null (l'erreur
+// est déjà envoyée)
+const getCurrentTurnPlayer = (ws) => {
   const clientMeta = clients.get(ws);
-  if (!clientMeta || clientMeta.type !== "player") {
-    send(ws, "ACTION_INVALID", { message: "Spectators are not allowed." });
-    return;
+  const room = getClientRoom(ws);
+  if (!clientMeta || !room || clientMeta.type !== "player") {
+    sendError(ws, ERROR_CODES.NOT_A_PLAYER, "Spectators are not allowed.");
+    return null;
   }
   const { playerId } = clientMeta;
-  if (game.state.gameStatus !== "InProgress") {
-    send(ws, "ACTION_INVALID", { message: "Game must be in progress." });
+  if (room.game.state.gameStatus !== "InProgress") {
+    sendError(
+      ws,
+      ERROR_CODES.GAME_NOT_IN_PROGRESS,
+      "Game must be in progress."
+    );
+    return null;
+  }
+  if (room.game.state.currentPlayerTurn !== playerId) {
+    sendError(ws, ERROR_CODES.NOT_YOUR_TURN, "Not your turn.");
+    return null;
+  }
+  return { room, playerId };
+};
+
+const handleRequestAction = (ws, payload = {}) => {
+  const current = getCurrentTurnPlayer(ws);
+  if (!current) return;
+  const { room, playerId } = current;
+  const { game } = room;
+
+  try {
+    applyAction(game, playerId, payload.actionType, payload.target);
+    broadcastGameState(room);
+    if (game.state.gameStatus === "Finished") {
+      broadcastRoomList();
+    }
+  } catch (error) {
+    sendRejection(ws, error);
+  }
+};
+
+const handleEndTurn = (ws) => {
+  const current = getCurrentTurnPlayer(ws);
+  if (!current) return;
+  try {
+    current.room.game.endTurn(current.playerId);
+    broadcastGameState(current.room);
+    // les dégâts des zones ou la limite de manches peuvent finir la partie
+    if (current.room.game.state.gameStatus === "Finished") {
+      broadcastRoomList();
+    }
+  } catch (error) {
+    sendRejection(ws, error);
+  }
+};
+
+// Mêmes règles pour les joueurs humains et les bots
+const applyAction = (game, playerId, actionType, target) => {
+  switch (actionType) {
+    case "MOVE":
+      return game.executeMove(playerId, target);
+    case "ATTACK":
+      return game.executeAttack(playerId, target);
+    case "PLACE_OBSTACLE":
+      return game.executePlaceObstacle(playerId, target);
+    default:
+      throw new Error("Unknown action.");
+  }
+};
+
+const handleAddBot = (ws, payload = {}) => {
+  const room = getClientRoom(ws);
+  if (!room) {
+    sendError(ws, ERROR_CODES.NOT_IN_ROOM, "Join a room first.");
+    return;
+  }
+  const { game } = room;
+  if (game.state.gameStatus !== "Lobby") {
+    sendError(
+      ws,
+      ERROR_CODES.GAME_ALREADY_STARTED,
+      "Bots can only be added in the lobby."
+    );
     return;
   }
-  if (game.state.currentPlayerTurn !== playerId) {
-    send(ws, "ACTION_INVALID", { message: "Not your turn." });
+  const difficulty = payload.difficulty || "easy";
+  if (!BOT_DIFFICULTIES.includes(difficulty)) {
+    sendError(
+      ws,
+      ERROR_CODES.INVALID_DIFFICULTY,
+      `Difficulty must be one of: ${BOT_DIFFICULTIES.join(", ")}.`,
+      { difficulties: BOT_DIFFICULTIES }
+    );
     return;
   }
 
   try {
-    switch (payload.actionType) {
-      case "MOVE":
-        game.executeMove(playerId, payload.target);
-        break;
-      case "ATTACK":
-        game.executeAttack(playerId, payload.target);
-        break;
-      case "PLACE_OBSTACLE":
-        game.executePlaceObstacle(playerId, payload.target);
-        break;
-      default:
-        throw new Error("Unknown action.");
-    }
-    broadcastGameState();
+    const botCount = game.state.players.filter((p) => p.bot).length;
+    game.addPlayer({
+      pseudo: `Bot ${botCount + 1} (${difficulty})`,
+      color: pickBotColor(game),
+      team: payload.team,
+      bot: { difficulty },
+    });
+    broadcastGameState(room);
+    broadcastRoomList();
+  } catch (error) {
+    sendRejection(ws, error);
+  }
+};
+
+// Mode équipes : chaque joueur choisit son équipe tant qu'on est au salon
+const handleSetTeam = (ws, payload = {}) => {
+  const clientMeta = clients.get(ws);
+  const room = getClientRoom(ws);
+  if (!clientMeta || !room || clientMeta.type !== "player") {
+    sendError(ws, ERROR_CODES.NOT_A_PLAYER, "Only players can pick a team.");
+    return;
+  }
+  try {
+    room.game.setTeam(clientMeta.playerId, payload.team);
+    broadcastGameState(room);
+  } catch (error) {
+    sendRejection(ws, error);
+  }
+};
+
+// Réglages du lobby réservés à son hôte (voir GameStateManager#requireHost)
+const handleHostCommand = (ws, command) => {
+  const clientMeta = clients.get(ws);
+  const room = getClientRoom(ws);
+  if (!clientMeta || !room || clientMeta.type !== "player") {
+    sendError(ws, ERROR_CODES.NOT_HOST, "Only the lobby host can do this.");
+    return;
+  }
+  try {
+    command(room.game, clientMeta.playerId);
+    broadcastGameState(room);
+    broadcastRoomList();
   } catch (error) {
-    send(ws, "ACTION_INVALID", { message: error.message });
+    sendRejection(ws, error);
   }
 };
 
+const handleSetPlayerLimits = (ws, payload = {}) => {
+  handleHostCommand(ws, (game, playerId) =>
+    game.setPlayerLimits(playerId, {
+      minPlayers: payload.minPlayers,
+      maxPlayers: payload.maxPlayers,
+    })
+  );
+};
+
+// mapId null : retour au plateau nu
+const handleSetMap = (ws, payload = {}) => {
+  handleHostCommand(ws, (game, playerId) => {
+    const map = payload.mapId ? getMap(payload.mapId) : null;
+    if (payload.mapId && !map) {
+      throw new GameError(
+        ERROR_CODES.UNKNOWN_MAP,
+        `Unknown map "${payload.mapId}".`,
+        { mapId: payload.mapId }
+      );
+    }
+    game.setMap(playerId, map);
+  });
+};
+
+const handleStartGame = (ws) => {
+  handleHostCommand(ws, (game, playerId) => game.requestStart(playerId));
+};
+
 const handleResetGame = (ws) => {
-  if (game.state.gameStatus !== "Finished") {
-    send(ws, "ACTION_INVALID", {
-      message: "Game is not finished yet.",
-    });
+  const room = getClientRoom(ws);
+  if (!room || room.game.state.gameStatus !== "Finished") {
+    sendError(ws, ERROR_CODES.GAME_NOT_FINISHED, "Game is not finished yet.");
     return;
   }
 
-  game.resetGame();
+  room.game.resetGame();
+  room.clearHeldSeats();
 
-  clients.forEach((meta, clientWs) => {
-    clients.set(clientWs, { type: "spectator" });
+  room.clients.forEach((clientWs) => {
+    clients.set(clientWs, {
+      ...clients.get(clientWs),
+      type: "spectator",
+      playerId: null,
+    });
     send(clientWs, "GAME_RESET", {
       message: "New game available. Join the lobby.",
     });
   });
 
-  broadcastGameState();
+  broadcastGameState(room);
+  broadcastRoomList();
+};
+
+// Chat du salon : les joueurs écrivent sur le canal "players", lu par tout le
+// salon ; les spectateurs sur le canal "spectators", caché aux joueurs pendant
+// une partie pour qu'ils ne puissent pas les renseigner
+const canReadChat = (meta, message) =>
+  Boolean(meta) &&
+  !(message.spectatorsOnly && meta.type === "player") &&
+  !meta.mutedChatIds.has(message.author.chatId);
+
+const sendChatHistory = (ws, room) => {
+  const meta = clients.get(ws);
+  send(ws, "CHAT_HISTORY", {
+    roomId: room.id,
+    chatId: meta.chatId,
+    messages: room.chatLog.filter((message) => canReadChat(meta, message)),
+  });
+};
+
+const handleChatMessage = (ws, payload = {}) => {
+  const clientMeta = clients.get(ws);
+  const room = getClientRoom(ws);
+  if (!clientMeta || !room) {
+    sendError(ws, ERROR_CODES.NOT_IN_ROOM, "Join a room to chat.");
+    return;
+  }
+  let text;
+  try {
+    text = parseChatText(payload.text);
+  } catch (error) {
+    sendError(ws, ERROR_CODES.INVALID_CHAT_MESSAGE, error.message, {
+      maxLength: MAX_CHAT_LENGTH,
+    });
+    return;
+  }
+  const player =
+    clientMeta.type === "player"
+      ? room.game.state.players.find((p) => p.id === clientMeta.playerId)
+      : null;
+  const message = room.addChatMessage({
+    channel: player ? "players" : "spectators",
+    author: {
+      chatId: clientMeta.chatId,
+      playerId: player ? player.id : null,
+      pseudo: player
+        ? player.pseudo
+        : (clientMeta.user && clientMeta.user.name) || "Spectateur",
+    },
+    text,
+    spectatorsOnly: !player && room.game.state.gameStatus === "InProgress",
+  });
+  room.clients.forEach((client) => {
+    if (canReadChat(clients.get(client), message)) {
+      send(client, "CHAT_MESSAGE", message);
+    }
+  });
+};
+
+// Masque (ou rétablit) les messages d'un auteur pour cette socket seulement
+const handleMuteUser = (ws, payload = {}) => {
+  const clientMeta = clients.get(ws);
+  const { chatId, muted = true } = payload;
+  if (chatId === clientMeta.chatId) {
+    sendError(ws, ERROR_CODES.CANNOT_MUTE_SELF, "You cannot mute yourself.");
+    return;
+  }
+  if (muted) {
+    clientMeta.mutedChatIds.add(chatId);
+  } else {
+    clientMeta.mutedChatIds.delete(chatId);
+  }
+  send(ws, "CHAT_MUTES", { mutedChatIds: [...clientMeta.mutedChatIds] });
 };
 
-const handleDisconnect = (ws) => {
+const handleDisconnect = (ws, room, { holdSeat = false } = {}) => {
   const meta = clients.get(ws);
   if (!meta || meta.type !== "player") return;
-  game.removePlayer(meta.playerId);
-  broadcastGameState();
+
+  // siège conservé dans le lobby comme en partie ; une partie terminée n'a
+  // plus de siège à reprendre
+  const player = room.game.state.players.find((p) => p.id === meta.playerId);
+  const canHoldSeat =
+    holdSeat &&
+    meta.user &&
+    meta.user.id &&
+    player &&
+    player.status === "Active" &&
+    room.game.state.gameStatus !== "Finished";
+
+  if (canHoldSeat) {
+    room.game.setPlayerConnected(player.id, false);
+    room.holdSeat(meta.user.id, player.id, RECONNECT_GRACE_MS, (playerId) =>
+      forfeitHeldSeat(room, playerId)
+    );
+  } else {
+    room.game.removePlayer(meta.playerId);
+  }
+  broadcastGameState(room);
+};
+
+// Fin du délai de reconnexion : le joueur abandonne la partie
+const forfeitHeldSeat = (room, playerId) => {
+  room.game.removePlayer(playerId);
+  broadcastGameState(room);
+  if (rooms.removeRoomIfEmpty(room) || room.game.state.gameStatus === "Finished") {
+    broadcastRoomList();
+  }
 };
 
+// Battement de cœur : ping de chaque socket ; celle qui n'a pas répondu au
+// ping précédent est considérée comme morte (connexion à moitié ouverte)
+const heartbeat = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    const clientMeta = clients.get(ws);
+    if (!clientMeta) return;
+    if (!clientMeta.isAlive) {
+      ws.terminate();
+      return;
+    }
+    clientMeta.isAlive = false;
+    ws.ping();
+  });
+}, HEARTBEAT_INTERVAL_MS);
+
+wss.on("close", () => {
+  clearInterval(heartbeat);
+});
+
 server.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
   console.log(`Swagger docs available at http://localhost:${PORT}/docs`);
+  console.log(
+    `AsyncAPI document available at http://localhost:${PORT}/docs/asyncapi.json`
+  );
 });
\ No newline at end of file
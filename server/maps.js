@@ -0,0 +1,122 @@
+// server/maps.js
+// Cartes prédéfinies (server/maps/*.json) que l'hôte peut choisir au salon.
+// Chaque ligne de `tiles` décrit une rangée du plateau, un caractère par case.
+const fs = require("fs");
+const path = require("path");
+const { GameStateManager, parseGridSize } = require("./gameState");
+const { validateSchema } = require("./schema");
+
+const MAPS_DIR = path.join(__dirname, "maps");
+
+const TILE_TYPES = {
+  ".": null,
+  "#": "wall",
+  "~": "water",
+  "+": "heal",
+  "^": "high",
+};
+
+const MAP_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["id", "name", "tiles"],
+  properties: {
+    id: { type: "string", minLength: 1, maxLength: 32 },
+    name: { type: "string", minLength: 1, maxLength: 40 },
+    description: { type: "string", maxLength: 200 },
+    tiles: { type: "array", items: { type: "string" } },
+  },
+};
+
+/**
+ * Carte prête à l'emploi à partir du contenu d'un fichier : dimensions et
+ * liste des cases spéciales { position, type }. Lève une erreur si la carte
+ * est mal formée ou si une position de départ tombe sur un mur ou de l'eau.
+ */
+const parseMap = (data, source = "map") => {
+  const errors = validateSchema(MAP_SCHEMA, data, source);
+  if (errors.length > 0) {
+    throw new Error(`Invalid map: ${errors.join("; ")}.`);
+  }
+  const { tiles } = data;
+  const gridSize = parseGridSize({
+    width: tiles[0] ? tiles[0].length : 0,
+    height: tiles.length,
+  });
+  if (!gridSize || tiles.some((row) => row.length !== gridSize.width)) {
+    throw new Error(
+      `Invalid map ${source}: rows must have the same length, 7 to 15 cells per side.`
+    );
+  }
+
+  const terrain = [];
+  tiles.forEach((row, y) => {
+    [...row].forEach((tile, x) => {
+      if (!(tile in TILE_TYPES)) {
+        throw new Error(
+          `Invalid map ${source}: unknown tile "${tile}" at ${x},${y}.`
+        );
+      }
+      if (TILE_TYPES[tile]) {
+        terrain.push({ position: { x, y }, type: TILE_TYPES[tile] });
+      }
+    });
+  });
+
+  const map = {
+    id: data.id,
+    name: data.name,
+    description: data.description || "",
+    width: gridSize.width,
+    height: gridSize.height,
+    terrain,
+  };
+
+  // les positions de départ dépendent du nombre de joueurs : toutes doivent
+  // rester praticables
+  const game = new GameStateManager(gridSize);
+  game.state.terrain = terrain;
+  [2, 3, 4].forEach((count) => {
+    game.getStartingPositions(count).forEach((position) => {
+      if (game.blocksMovement(position)) {
+        throw new Error(
+          `Invalid map ${source}: starting cell ${position.x},${position.y} is not walkable.`
+        );
+      }
+    });
+  });
+  return map;
+};
+
+const loadMaps = (dir = MAPS_DIR) => {
+  const maps = new Map();
+  fs.readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) => {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      const map = parseMap(data, file);
+      if (maps.has(map.id)) {
+        throw new Error(`Duplicate map id "${map.id}" in ${file}.`);
+      }
+      maps.set(map.id, map);
+    });
+  return maps;
+};
+
+const MAPS = loadMaps();
+
+const getMap = (mapId) => MAPS.get(mapId) || null;
+
+// Résumé pour GET /api/maps et le sélecteur du salon
+const listMaps = () =>
+  [...MAPS.values()].map(({ id, name, description, width, height, terrain }) => ({
+    id,
+    name,
+    description,
+    width,
+    height,
+    terrain,
+  }));
+
+module.exports = { TILE_TYPES, getMap, listMaps, parseMap };
@@ -0,0 +1,194 @@
+// server/players.js
+const express = require("express");
+const { LEADERBOARD_SORTS } = require("./storage");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_MATCH_HISTORY = 50;
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
+
+/**
+ * Routes publiques de classement et de profil joueur.
+ * @param {import("./storage").MatchStorage} matchStorage
+ */
+const createPlayersRouter = (matchStorage) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/leaderboard:
+   *   get:
+   *     summary: Paginated leaderboard of authenticated players
+   *     tags:
+   *       - Players
+   *     parameters:
+   *       - in: query
+   *         name: sort
+   *         schema:
+   *           type: string
+   *           enum: [wins, winRate, rating]
+   *           default: wins
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: pageSize
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: One page of the leaderboard
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 sort:
+   *                   type: string
+   *                   example: "wins"
+   *                 page:
+   *                   type: integer
+   *                   example: 1
+   *                 pageSize:
+   *                   type: integer
+   *                   example: 20
+   *                 total:
+   *                   type: integer
+   *                   example: 42
+   *                 players:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/PlayerStats'
+   *       400:
+   *         description: Unknown sort key
+   */
+  router.get("/leaderboard", async (req, res) => {
+    const sort = req.query.sort || "wins";
+    if (!LEADERBOARD_SORTS.includes(sort)) {
+      return res.status(400).json({
+        error: `sort must be one of: ${LEADERBOARD_SORTS.join(", ")}`,
+      });
+    }
+    const page = toPositiveInt(req.query.page, 1);
+    const pageSize = Math.min(
+      toPositiveInt(req.query.pageSize, DEFAULT_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    );
+    const offset = (page - 1) * pageSize;
+
+    try {
+      const { total, items } = await matchStorage.listPlayerStats({
+        sortBy: sort,
+        offset,
+        limit: pageSize,
+      });
+      return res.json({
+        sort,
+        page,
+        pageSize,
+        total,
+        players: items.map((stats, index) => ({
+          rank: offset + index + 1,
+          ...stats,
+        })),
+      });
+    } catch (error) {
+      console.error("[leaderboard]", error.message);
+      return res.status(500).json({ error: "Unable to load leaderboard" });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/players/{id}:
+   *   get:
+   *     summary: Player statistics and match history
+   *     tags:
+   *       - Players
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: Supabase user id
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: limit
+   *         description: Maximum number of matches returned (most recent first)
+   *         schema:
+   *           type: integer
+   *           maximum: 50
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Player profile
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 stats:
+   *                   $ref: '#/components/schemas/PlayerStats'
+   *                 matches:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       matchId:
+   *                         type: string
+   *                       roomName:
+   *                         type: string
+   *                       finishedAt:
+   *                         type: string
+   *                         format: date-time
+   *                       durationMs:
+   *                         type: integer
+   *                       turns:
+   *                         type: integer
+   *                       winnerPseudo:
+   *                         type: string
+   *                       placement:
+   *                         type: integer
+   *                       ratingDelta:
+   *                         type: integer
+   *                         nullable: true
+   *                       finalHp:
+   *                         type: integer
+   *                       isWinner:
+   *                         type: boolean
+   *                       damageDealt:
+   *                         type: integer
+   *                       obstaclesPlaced:
+   *                         type: integer
+   */
+  router.get("/players/:id", async (req, res) => {
+    const limit = Math.min(
+      toPositiveInt(req.query.limit, DEFAULT_PAGE_SIZE),
+      MAX_MATCH_HISTORY
+    );
+    try {
+      const [stats, matches] = await Promise.all([
+        matchStorage.getPlayerStats(req.params.id),
+        matchStorage.getPlayerMatches(req.params.id, { limit }),
+      ]);
+      return res.json({ stats, matches });
+    } catch (error) {
+      console.error("[players]", error.message);
+      return res.status(500).json({ error: "Unable to load player profile" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPlayersRouter };
@@ -0,0 +1,654 @@
+// server/protocol.js
+// Protocole WebSocket : chaque message est un objet { type, payload }. Ce
+// module déclare le schéma du payload de chaque type, dans les deux sens,
+// valide les messages entrants et en tire le document AsyncAPI (/docs).
+const { validateSchema } = require("./schema");
+const { ERROR_CODES } = require("./errors");
+const { MAX_ROOM_NAME_LENGTH } = require("./rooms");
+const { version: SERVER_VERSION } = require("../package.json");
+
+// à incrémenter à chaque changement incompatible des messages
+const PROTOCOL_VERSION = 2;
+const SUPPORTED_PROTOCOL_VERSIONS = [2];
+
+// Codes de fermeture propres à l'application (plage 4000-4999)
+const CLOSE_CODES = {
+  UNSUPPORTED_PROTOCOL_VERSION: 4000,
+  HELLO_TIMEOUT: 4001,
+};
+
+// Codes des erreurs de protocole (errors.js), envoyés dans ACTION_INVALID
+const PROTOCOL_ERRORS = {
+  INVALID_JSON: ERROR_CODES.INVALID_JSON,
+  INVALID_MESSAGE: ERROR_CODES.INVALID_MESSAGE,
+  UNKNOWN_MESSAGE_TYPE: ERROR_CODES.UNKNOWN_MESSAGE_TYPE,
+  INVALID_PAYLOAD: ERROR_CODES.INVALID_PAYLOAD,
+  HELLO_REQUIRED: ERROR_CODES.HELLO_REQUIRED,
+  HELLO_ALREADY_RECEIVED: ERROR_CODES.HELLO_ALREADY_RECEIVED,
+  UNSUPPORTED_PROTOCOL_VERSION: ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION,
+};
+
+const EMPTY = { type: "object", additionalProperties: false, properties: {} };
+
+const position = {
+  type: "object",
+  additionalProperties: false,
+  required: ["x", "y"],
+  properties: { x: { type: "integer" }, y: { type: "integer" } },
+};
+
+const nullablePosition = { ...position, type: ["object", "null"] };
+
+const teamId = { type: "string", enum: ["red", "blue"] };
+
+const roomSummary = {
+  type: "object",
+  required: ["id", "name", "status", "playerCount", "maxPlayers"],
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    status: { type: "string", enum: ["Lobby", "InProgress", "Finished"] },
+    playerCount: { type: "integer" },
+    maxPlayers: { type: "integer" },
+    spectatorCount: { type: "integer" },
+    gridWidth: { type: "integer" },
+    gridHeight: { type: "integer" },
+    turnDuration: { type: "integer" },
+    maxMissedTurns: { type: "integer" },
+    spectatorDelay: { type: "integer" },
+    rulesPreset: { type: "string" },
+    teamMode: { type: "boolean" },
+    fogOfWar: { type: "boolean" },
+    mapId: { type: ["string", "null"] },
+    createdAt: { type: "string" },
+  },
+};
+
+// État de la partie (GameStateManager#getSnapshot), éventuellement filtré
+// par le brouillard de guerre
+const gameState = {
+  type: "object",
+  required: [
+    "matchId",
+    "gameStatus",
+    "gridWidth",
+    "gridHeight",
+    "rules",
+    "players",
+  ],
+  properties: {
+    matchId: { type: "string" },
+    gameStatus: { type: "string", enum: ["Lobby", "InProgress", "Finished"] },
+    gridWidth: { type: "integer" },
+    gridHeight: { type: "integer" },
+    rules: { type: "object" },
+    turn: { type: "integer" },
+    round: { type: "integer" },
+    players: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "pseudo", "couleur", "status"],
+        properties: {
+          id: { type: "string" },
+          pseudo: { type: "string" },
+          couleur: { type: "string" },
+          status: { type: "string" },
+          position: nullablePosition,
+          pdv: { type: "integer" },
+          obstaclesRestants: { type: ["integer", "null"] },
+          team: { type: ["string", "null"] },
+          hidden: { type: "boolean" },
+        },
+      },
+    },
+    obstacles: { type: "array", items: { type: "object" } },
+    terrain: { type: "array", items: { type: "object" } },
+    powerUps: { type: "array", items: { type: "object" } },
+    currentPlayerTurn: { type: ["string", "null"] },
+    turnEndsAt: { type: ["integer", "null"] },
+    winner: { type: ["string", "null"] },
+    visibleCells: { type: "array", items: position },
+    spectatorDelay: { type: "integer" },
+  },
+};
+
+const gameEvent = {
+  type: "object",
+  required: ["seq", "turn", "actorId", "actionType"],
+  properties: {
+    seq: { type: "integer" },
+    turn: { type: "integer" },
+    timestamp: { type: "string" },
+    actorId: { type: "string" },
+    actorPseudo: { type: "string" },
+    actionType: {
+      type: "string",
+      enum: [
+        "MOVE",
+        "ATTACK",
+        "PLACE_OBSTACLE",
+        "END_TURN",
+        "TURN_SKIPPED",
+        "HAZARD",
+        "FORFEIT",
+      ],
+    },
+    from: nullablePosition,
+    target: nullablePosition,
+    entityHit: { type: ["object", "null"] },
+    damage: { type: "integer" },
+    obstaclesDestroyed: { type: "array", items: { type: "string" } },
+    powerUp: { type: ["string", "null"] },
+    eliminations: { type: "array", items: { type: "object" } },
+  },
+};
+
+const chatMessage = {
+  type: "object",
+  required: ["id", "channel", "author", "text", "sentAt"],
+  properties: {
+    id: { type: "string" },
+    channel: { type: "string", enum: ["players", "spectators"] },
+    author: {
+      type: "object",
+      required: ["chatId", "pseudo"],
+      properties: {
+        chatId: { type: "string" },
+        playerId: { type: ["string", "null"] },
+        pseudo: { type: "string" },
+      },
+    },
+    text: { type: "string" },
+    sentAt: { type: "string" },
+    spectatorsOnly: { type: "boolean" },
+  },
+};
+
+const legalTargets = { type: "array", items: { type: "object" } };
+
+/**
+ * Messages client → serveur : { summary, payload }. Seul HELLO est accepté
+ * tant que la poignée de main n'est pas faite.
+ */
+const CLIENT_MESSAGES = {
+  HELLO: {
+    summary: "Open the session with the protocol version spoken by the client",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      required: ["protocolVersion"],
+      properties: {
+        protocolVersion: { type: "integer", minimum: 1 },
+        client: { type: "string", maxLength: 64 },
+        // reconnexion : salon à retrouver en spectateur sans siège réservé
+        roomId: { type: "string", minLength: 1 },
+      },
+    },
+  },
+  LIST_ROOMS: { summary: "Ask for the room list", payload: EMPTY },
+  CREATE_ROOM: {
+    summary: "Create a room and enter it",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        name: { type: "string", maxLength: MAX_ROOM_NAME_LENGTH },
+        turnDuration: { type: "integer", minimum: 0 },
+        maxMissedTurns: { type: "integer", minimum: 1 },
+        rules: { type: ["string", "object"] },
+        seed: { type: ["integer", "null"], minimum: 0 },
+        spectatorDelay: { type: "integer", minimum: 0 },
+      },
+    },
+  },
+  JOIN_ROOM: {
+    summary: "Enter a room as a spectator",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      required: ["roomId"],
+      properties: { roomId: { type: "string", minLength: 1 } },
+    },
+  },
+  LEAVE_ROOM: { summary: "Go back to the default room", payload: EMPTY },
+  RESYNC_STATE: {
+    summary: "Ask for a full GAME_STATE_UPDATE after a missed patch",
+    payload: EMPTY,
+  },
+  JOIN_GAME: {
+    summary: "Take a seat in the current room's lobby",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        pseudo: { type: "string", maxLength: 64 },
+        couleur: { type: "string", maxLength: 16 },
+        color: { type: "string", maxLength: 16 },
+        gridSize: { type: "integer" },
+        gridWidth: { type: "integer" },
+        gridHeight: { type: "integer" },
+        team: teamId,
+      },
+    },
+  },
+  ADD_BOT: {
+    summary: "Add a bot to the lobby",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        difficulty: { type: "string" },
+        team: teamId,
+      },
+    },
+  },
+  SET_PLAYER_LIMITS: {
+    summary: "Host only: set the minimum and maximum number of players",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        minPlayers: { type: "integer" },
+        maxPlayers: { type: "integer" },
+      },
+    },
+  },
+  SET_TEAM: {
+    summary: "Team mode: switch team while in the lobby",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      required: ["team"],
+      properties: { team: teamId },
+    },
+  },
+  SET_MAP: {
+    summary: "Host only: pick a map (null for the bare board)",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      required: ["mapId"],
+      properties: { mapId: { type: ["string", "null"] } },
+    },
+  },
+  START_GAME: { summary: "Host only: start the match", payload: EMPTY },
+  REQUEST_ACTION: {
+    summary: "Play an action on your turn",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      required: ["actionType", "target"],
+      properties: {
+        actionType: {
+          type: "string",
+          enum: ["MOVE", "ATTACK", "PLACE_OBSTACLE"],
+        },
+        target: position,
+      },
+    },
+  },
+  END_TURN: { summary: "Action points mode: end your turn", payload: EMPTY },
+  RESET_GAME: {
+    summary: "Open a new lobby once the match is over",
+    payload: EMPTY,
+  },
+  CHAT_MESSAGE: {
+    summary: "Post to the room chat",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      required: ["text"],
+      properties: { text: { type: "string" } },
+    },
+  },
+  MUTE_USER: {
+    summary: "Hide (or show again) the chat messages of an author",
+    payload: {
+      type: "object",
+      additionalProperties: false,
+      required: ["chatId"],
+      properties: {
+        chatId: { type: "string", minLength: 1 },
+        muted: { type: "boolean" },
+      },
+    },
+  },
+};
+
+// Messages serveur → client
+const SERVER_MESSAGES = {
+  WELCOME: {
+    summary: "Handshake accepted",
+    payload: {
+      type: "object",
+      required: ["protocolVersion", "serverVersion"],
+      properties: {
+        protocolVersion: { type: "integer" },
+        serverVersion: { type: "string" },
+      },
+    },
+  },
+  ACTION_INVALID: {
+    summary: "A message or an action was rejected",
+    payload: {
+      type: "object",
+      required: ["code", "message"],
+      properties: {
+        code: { type: "string", enum: Object.values(ERROR_CODES) },
+        message: { type: "string" },
+        details: { type: "object" },
+      },
+    },
+  },
+  ROOM_LIST: {
+    summary: "Every room, sent on change",
+    payload: {
+      type: "object",
+      required: ["rooms"],
+      properties: { rooms: { type: "array", items: roomSummary } },
+    },
+  },
+  ROOM_JOINED: {
+    summary: "The socket entered a room as a spectator",
+    payload: {
+      type: "object",
+      required: ["room"],
+      properties: { room: roomSummary },
+    },
+  },
+  REJOINED: {
+    summary: "A reconnecting player got their seat back",
+    payload: {
+      type: "object",
+      required: ["playerId", "room", "version", "state"],
+      properties: {
+        playerId: { type: "string" },
+        room: roomSummary,
+        version: { type: "integer" },
+        state: gameState,
+      },
+    },
+  },
+  GAME_STATE_UPDATE: {
+    summary: "Full state of the match, base of the next patches",
+    payload: {
+      type: "object",
+      required: ["version", "state"],
+      properties: {
+        version: { type: "integer" },
+        state: gameState,
+      },
+    },
+  },
+  GAME_STATE_PATCH: {
+    summary:
+      "JSON Patch (RFC 6902) turning the state at baseVersion into version",
+    payload: {
+      type: "object",
+      required: ["baseVersion", "version", "patch"],
+      properties: {
+        baseVersion: { type: "integer" },
+        version: { type: "integer" },
+        patch: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["op", "path"],
+            properties: {
+              op: { type: "string", enum: ["add", "remove", "replace"] },
+              path: { type: "string" },
+              value: {},
+            },
+          },
+        },
+      },
+    },
+  },
+  JOINED_AS_PLAYER: {
+    summary: "JOIN_GAME accepted",
+    payload: {
+      type: "object",
+      required: ["playerId"],
+      properties: { playerId: { type: "string" } },
+    },
+  },
+  JOINED_AS_SPECTATOR: {
+    summary: "JOIN_GAME refused: lobby full or match started",
+    payload: {
+      type: "object",
+      properties: { message: { type: "string" } },
+    },
+  },
+  GAME_EVENT: {
+    summary: "New entry of the match log",
+    payload: {
+      type: "object",
+      required: ["matchId", "event"],
+      properties: { matchId: { type: "string" }, event: gameEvent },
+    },
+  },
+  LEGAL_TARGETS: {
+    summary: "Playable cells, sent to the current player only",
+    payload: {
+      type: "object",
+      required: ["turn", "playerId", "targets"],
+      properties: {
+        turn: { type: "integer" },
+        playerId: { type: "string" },
+        targets: {
+          type: "object",
+          properties: {
+            MOVE: legalTargets,
+            ATTACK: legalTargets,
+            PLACE_OBSTACLE: legalTargets,
+          },
+        },
+      },
+    },
+  },
+  GAME_OVER: {
+    summary: "The match is finished",
+    payload: {
+      type: "object",
+      properties: {
+        winnerPseudo: { type: ["string", "null"] },
+        winners: { type: "array", items: { type: "string" } },
+        winningTeam: { type: ["string", "null"] },
+        endReason: { type: ["string", "null"] },
+      },
+    },
+  },
+  RATING_UPDATE: {
+    summary: "Elo changes of the authenticated players of the match",
+    payload: {
+      type: "object",
+      required: ["matchId", "ratings"],
+      properties: {
+        matchId: { type: "string" },
+        ratings: { type: "array", items: { type: "object" } },
+      },
+    },
+  },
+  TURN_TIMEOUT: {
+    summary: "A player ran out of time",
+    payload: {
+      type: "object",
+      properties: {
+        playerId: { type: "string" },
+        pseudo: { type: "string" },
+        missedTurns: { type: "integer" },
+        defeated: { type: "boolean" },
+      },
+    },
+  },
+  GAME_RESET: {
+    summary: "A new lobby replaced the finished match",
+    payload: { type: "object", properties: { message: { type: "string" } } },
+  },
+  CHAT_HISTORY: {
+    summary: "Chat scrollback of the room, sent on arrival",
+    payload: {
+      type: "object",
+      required: ["roomId", "chatId", "messages"],
+      properties: {
+        roomId: { type: "string" },
+        chatId: { type: "string" },
+        messages: { type: "array", items: chatMessage },
+      },
+    },
+  },
+  CHAT_MESSAGE: { summary: "New chat message", payload: chatMessage },
+  CHAT_MUTES: {
+    summary: "Chat authors muted by this socket",
+    payload: {
+      type: "object",
+      required: ["mutedChatIds"],
+      properties: {
+        mutedChatIds: { type: "array", items: { type: "string" } },
+      },
+    },
+  },
+};
+
+const ENVELOPE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["type"],
+  properties: {
+    type: { type: "string", minLength: 1 },
+    payload: { type: "object" },
+  },
+};
+
+/**
+ * Décode et valide un message client.
+ * @returns {{ message: { type: string, payload: object } } | { error: { code: string, message: string, details?: object } }}
+ */
+const parseClientMessage = (raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (err) {
+    return {
+      error: {
+        code: PROTOCOL_ERRORS.INVALID_JSON,
+        message: "Invalid JSON message.",
+      },
+    };
+  }
+  const envelopeErrors = validateSchema(ENVELOPE_SCHEMA, message, "message");
+  if (envelopeErrors.length > 0) {
+    return {
+      error: {
+        code: PROTOCOL_ERRORS.INVALID_MESSAGE,
+        message: `Invalid message: ${envelopeErrors.join("; ")}.`,
+        details: { errors: envelopeErrors },
+      },
+    };
+  }
+  const definition = CLIENT_MESSAGES[message.type];
+  if (!definition) {
+    return {
+      error: {
+        code: PROTOCOL_ERRORS.UNKNOWN_MESSAGE_TYPE,
+        message: "Unknown message type.",
+        details: { type: message.type },
+      },
+    };
+  }
+  const payload = message.payload || {};
+  const errors = validateSchema(definition.payload, payload, "payload");
+  if (errors.length > 0) {
+    return {
+      error: {
+        code: PROTOCOL_ERRORS.INVALID_PAYLOAD,
+        message: `Invalid ${message.type} payload: ${errors.join("; ")}.`,
+        details: { type: message.type, errors },
+      },
+    };
+  }
+  return { message: { type: message.type, payload } };
+};
+
+// Message AsyncAPI : l'enveloppe { type, payload } avec le type figé
+const toAsyncApiMessage = (type, { summary, payload }) => ({
+  name: type,
+  title: type,
+  summary,
+  contentType: "application/json",
+  payload: {
+    type: "object",
+    required: ["type", "payload"],
+    properties: {
+      type: { type: "string", enum: [type] },
+      payload,
+    },
+  },
+});
+
+/**
+ * Document AsyncAPI 2.6 du protocole, servi sur /docs/asyncapi.json.
+ * `publish` = messages que le serveur reçoit, `subscribe` = ceux qu'il envoie.
+ */
+const buildAsyncApiDocument = ({ url = "localhost:3000" } = {}) => {
+  const messages = {};
+  const ref = (key) => ({ $ref: `#/components/messages/${key}` });
+  Object.entries(CLIENT_MESSAGES).forEach(([type, definition]) => {
+    messages[`client${type}`] = toAsyncApiMessage(type, definition);
+  });
+  Object.entries(SERVER_MESSAGES).forEach(([type, definition]) => {
+    messages[`server${type}`] = toAsyncApiMessage(type, definition);
+  });
+  return {
+    asyncapi: "2.6.0",
+    info: {
+      title: "WebSocket Game protocol",
+      version: String(PROTOCOL_VERSION),
+      description:
+        "Every frame is a JSON object { type, payload }. The client must " +
+        "send HELLO { protocolVersion } first and wait for WELCOME; other " +
+        "messages are rejected with ACTION_INVALID { code: HELLO_REQUIRED }. " +
+        "The match state arrives once in full (GAME_STATE_UPDATE), then as " +
+        "GAME_STATE_PATCH deltas; a client whose version differs from " +
+        "baseVersion sends RESYNC_STATE. " +
+        "Authenticate by passing the JWT as the `token` query parameter.",
+    },
+    servers: {
+      local: { url, protocol: "ws" },
+    },
+    channels: {
+      "/": {
+        publish: {
+          operationId: "sendToServer",
+          message: {
+            oneOf: Object.keys(CLIENT_MESSAGES).map((type) =>
+              ref(`client${type}`)
+            ),
+          },
+        },
+        subscribe: {
+          operationId: "receiveFromServer",
+          message: {
+            oneOf: Object.keys(SERVER_MESSAGES).map((type) =>
+              ref(`server${type}`)
+            ),
+          },
+        },
+      },
+    },
+    components: { messages },
+  };
+};
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  SERVER_VERSION,
+  CLOSE_CODES,
+  PROTOCOL_ERRORS,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  parseClientMessage,
+  buildAsyncApiDocument,
+};
@@ -0,0 +1,22 @@
+// server/random.js
+// Générateur pseudo-aléatoire reproductible (mulberry32). Son état tient dans
+// un entier 32 bits, stocké dans l'état de la partie : rejouer les mêmes
+// actions depuis le même état donne les mêmes tirages.
+const { randomInt } = require("crypto");
+
+const MAX_SEED = 2 ** 32 - 1;
+
+const createSeed = () => randomInt(0, MAX_SEED + 1);
+
+/**
+ * Tirage suivant à partir de l'état courant.
+ * @returns {{ value: number, state: number }} value dans [0, 1)
+ */
+const nextRandom = (rngState) => {
+  const state = (rngState + 0x6d2b79f5) >>> 0;
+  let t = Math.imul(state ^ (state >>> 15), 1 | state);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 2 ** 32, state };
+};
+
+module.exports = { MAX_SEED, createSeed, nextRandom };
@@ -0,0 +1,42 @@
+// server/rating.js
+const RATING_K_FACTOR = 32;
+
+const expectedScore = (rating, opponentRating) =>
+  1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+/**
+ * Elo multijoueur par paires : chaque participant est comparé à tous les
+ * autres selon son classement final (1 = meilleur, égalité = 0,5). Le gain
+ * total est divisé par (n - 1) pour qu'une partie à 4 pèse comme un duel.
+ *
+ * @param {{ userId: string, placement: number, rating: number }[]} players
+ * @returns {Map<string, { before: number, after: number, delta: number }>}
+ */
+const computeRatingChanges = (players, { kFactor = RATING_K_FACTOR } = {}) => {
+  const changes = new Map();
+  if (players.length < 2) return changes;
+
+  players.forEach((player) => {
+    const total = players
+      .filter((opponent) => opponent.userId !== player.userId)
+      .reduce((sum, opponent) => {
+        let score = 0.5;
+        if (player.placement < opponent.placement) score = 1;
+        if (player.placement > opponent.placement) score = 0;
+        return sum + score - expectedScore(player.rating, opponent.rating);
+      }, 0);
+    const delta = Math.round((kFactor * total) / (players.length - 1));
+    changes.set(player.userId, {
+      before: player.rating,
+      after: player.rating + delta,
+      delta,
+    });
+  });
+
+  return changes;
+};
+
+module.exports = {
+  RATING_K_FACTOR,
+  computeRatingChanges,
+};
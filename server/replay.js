@@ -0,0 +1,97 @@
+const { GameStateManager } = require("./gameState");
+
+const REPLAY_FORMAT = "jeu-tp-web-service/replay";
+const REPLAY_VERSION = 4;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Construit le fichier de replay d'une partie terminée : l'état initial
+ * (grille, joueurs, couleurs, positions de départ) et la liste ordonnée des
+ * actions acceptées, plus les états successifs pour le lecteur côté client.
+ */
+const createReplay = (game, { roomName = null } = {}) => {
+  if (game.state.gameStatus !== "Finished" || !game.initialState) {
+    throw new Error("Only finished matches can be exported.");
+  }
+  const replay = {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    matchId: game.state.matchId,
+    roomName,
+    startedAt: game.state.startedAt,
+    finishedAt: game.state.finishedAt,
+    config: { maxMissedTurns: game.config.maxMissedTurns },
+    initialState: clone(game.initialState),
+    // générateur au lancement, pour retomber sur les mêmes bonus
+    rng: { ...game.initialRng },
+    // les dégâts de zone (HAZARD) découlent des tours de table rejoués
+    actions: game
+      .getHistory()
+      .filter((event) => event.actionType !== "HAZARD")
+      .map((event) => ({
+        seq: event.seq,
+        turn: event.turn,
+        playerId: event.actorId,
+        actionType: event.actionType,
+        target: event.target,
+      })),
+    result: {
+      winner: game.state.winner,
+      winnerId: game.state.winnerId,
+      endReason: game.state.endReason,
+    },
+  };
+  replay.frames = buildReplayFrames(replay);
+  return replay;
+};
+
+const applyReplayAction = (game, action) => {
+  switch (action.actionType) {
+    case "MOVE":
+      return game.executeMove(action.playerId, action.target);
+    case "ATTACK":
+      return game.executeAttack(action.playerId, action.target);
+    case "PLACE_OBSTACLE":
+      return game.executePlaceObstacle(action.playerId, action.target);
+    case "TURN_SKIPPED":
+      return game.skipTurn(action.playerId);
+    case "END_TURN":
+      return game.endTurn(action.playerId);
+    case "FORFEIT":
+      return game.removePlayer(action.playerId);
+    default:
+      throw new Error(`Unknown replay action: ${action.actionType}`);
+  }
+};
+
+/**
+ * Rejoue les actions sur un GameStateManager neuf et retourne l'état après
+ * chacune d'elles (frames[0] = état initial).
+ */
+const buildReplayFrames = (replay) => {
+  const { gridWidth: width, gridHeight: height } = replay.initialState;
+  const game = new GameStateManager({ width, height }, {
+    turnDurationMs: null,
+    maxMissedTurns: replay.config.maxMissedTurns,
+  });
+  game.state = clone(replay.initialState);
+  game.state.turnEndsAt = null;
+  game.initialState = clone(replay.initialState);
+  game.rng = { ...replay.rng };
+  game.initialRng = { ...replay.rng };
+
+  const frames = [game.getSnapshot()];
+  replay.actions.forEach((action) => {
+    applyReplayAction(game, action);
+    frames.push(game.getSnapshot());
+  });
+  return frames;
+};
+
+module.exports = {
+  REPLAY_FORMAT,
+  REPLAY_VERSION,
+  createReplay,
+  buildReplayFrames,
+};
@@ -0,0 +1,360 @@
+const { randomUUID } = require("crypto");
+
+const { GameStateManager } = require("./gameState");
+const { resolveRules } = require("./rules");
+const { MAX_SEED } = require("./random");
+
+const DEFAULT_ROOM_ID = "main";
+const DEFAULT_ROOM_NAME = "Salon principal";
+const MAX_ROOM_NAME_LENGTH = 32;
+const MIN_TURN_DURATION_S = 10;
+const MAX_TURN_DURATION_S = 600;
+const MAX_MISSED_TURNS_LIMIT = 10;
+const MAX_SPECTATOR_DELAY = 20;
+const MAX_CHAT_LENGTH = 200;
+// messages de chat conservés par salon et renvoyés à chaque arrivée
+const CHAT_SCROLLBACK = 50;
+
+const toInt = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Valide la configuration demandée par le créateur du salon.
+ * turnDuration est en secondes (0 = pas de limite de temps), rules un nom de
+ * préréglage ou un objet de règles (voir rules.js).
+ */
+const parseRoomConfig = (payload = {}, defaults = {}) => {
+  const config = { ...defaults };
+
+  if (payload.turnDuration !== undefined) {
+    const seconds = toInt(payload.turnDuration);
+    if (
+      seconds === null ||
+      (seconds !== 0 &&
+        (seconds < MIN_TURN_DURATION_S || seconds > MAX_TURN_DURATION_S))
+    ) {
+      throw new Error(
+        `Turn duration must be 0 or between ${MIN_TURN_DURATION_S} and ${MAX_TURN_DURATION_S} seconds.`
+      );
+    }
+    config.turnDurationMs = seconds === 0 ? null : seconds * 1000;
+  }
+
+  if (payload.maxMissedTurns !== undefined) {
+    const missed = toInt(payload.maxMissedTurns);
+    if (missed === null || missed < 1 || missed > MAX_MISSED_TURNS_LIMIT) {
+      throw new Error(
+        `Max missed turns must be between 1 and ${MAX_MISSED_TURNS_LIMIT}.`
+      );
+    }
+    config.maxMissedTurns = missed;
+  }
+
+  if (payload.rules !== undefined) {
+    config.rules = resolveRules(payload.rules);
+  }
+
+  // graine fixe : toutes les parties du salon tirent les mêmes bonus
+  if (payload.seed !== undefined && payload.seed !== null) {
+    const seed = Number(payload.seed);
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+      throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}.`);
+    }
+    config.seed = seed;
+  }
+
+  // brouillard de guerre : retard en tours du direct des spectateurs
+  if (payload.spectatorDelay !== undefined) {
+    const delay = toInt(payload.spectatorDelay);
+    if (delay === null || delay < 0 || delay > MAX_SPECTATOR_DELAY) {
+      throw new Error(
+        `Spectator delay must be between 0 and ${MAX_SPECTATOR_DELAY} turns.`
+      );
+    }
+    config.spectatorDelay = delay;
+  }
+
+  return config;
+};
+
+// Texte d'un message de chat, sans espaces superflus
+const parseChatText = (text) => {
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  if (trimmed.length === 0 || trimmed.length > MAX_CHAT_LENGTH) {
+    throw new Error(
+      `Chat message must be between 1 and ${MAX_CHAT_LENGTH} characters.`
+    );
+  }
+  return trimmed;
+};
+
+// joueur tenu par une socket du salon : ni bot, ni siège réservé, ni parti
+const hasSocket = (player) => !player.bot && player.connected !== false;
+
+/**
+ * Un salon = une partie (GameStateManager) + les sockets qui la suivent.
+ */
+class Room {
+  constructor({ id = randomUUID(), name, persistent = false, config = {} }) {
+    this.id = id;
+    this.name = name;
+    // le salon par défaut n'est jamais supprimé, même vide
+    this.persistent = persistent;
+    this.config = config;
+    this.game = new GameStateManager(undefined, config);
+    this.turnTimer = null;
+    this.botTimer = null;
+    // dernier événement du journal déjà diffusé : aux joueurs (seq), aux
+    // spectateurs (spectatorSeq, en retard si spectatorDelay) et par socket
+    this.eventCursor = {
+      matchId: null,
+      seq: 0,
+      spectatorSeq: 0,
+      clients: new WeakMap(),
+    };
+    // version de l'état diffusé, croissante sur toute la vie du salon, et
+    // dernier état { version, state } envoyé à chaque socket : base des
+    // GAME_STATE_PATCH suivants
+    this.stateCursor = { version: 0, clients: new WeakMap() };
+    // images { turn, seq, snapshot } du direct différé des spectateurs
+    this.spectatorFeed = [];
+    // replay de la dernière partie terminée, conservé après un RESET_GAME
+    this.lastReplay = null;
+    // dernière partie archivée (replay + enregistrement), pour ne jamais la
+    // sauvegarder deux fois, même si la construction du replay a échoué
+    this.archivedMatchId = null;
+    this.clients = new Set();
+    // derniers messages du chat, toutes parties confondues
+    this.chatLog = [];
+    // userId -> { playerId, timer } des joueurs déconnectés en attente
+    this.heldSeats = new Map();
+    this.createdAt = new Date().toISOString();
+  }
+
+  isEmpty() {
+    return this.clients.size === 0 && this.heldSeats.size === 0;
+  }
+
+  holdSeat(userId, playerId, graceMs, onExpire) {
+    this.releaseSeat(userId);
+    const timer = setTimeout(() => {
+      this.heldSeats.delete(userId);
+      onExpire(playerId);
+    }, graceMs);
+    this.heldSeats.set(userId, { playerId, timer });
+  }
+
+  // Rend le siège réservé (sans déclencher l'abandon) et retourne le playerId
+  releaseSeat(userId) {
+    const seat = this.heldSeats.get(userId);
+    if (!seat) return null;
+    clearTimeout(seat.timer);
+    this.heldSeats.delete(userId);
+    return seat.playerId;
+  }
+
+  clearHeldSeats() {
+    this.heldSeats.forEach((seat) => clearTimeout(seat.timer));
+    this.heldSeats.clear();
+  }
+
+  setTurnTimer(delayMs, onExpire) {
+    this.clearTurnTimer();
+    this.turnTimer = setTimeout(() => {
+      this.turnTimer = null;
+      onExpire();
+    }, delayMs);
+  }
+
+  clearTurnTimer() {
+    clearTimeout(this.turnTimer);
+    this.turnTimer = null;
+  }
+
+  setBotTimer(delayMs, onExpire) {
+    this.clearBotTimer();
+    this.botTimer = setTimeout(() => {
+      this.botTimer = null;
+      onExpire();
+    }, delayMs);
+  }
+
+  clearBotTimer() {
+    clearTimeout(this.botTimer);
+    this.botTimer = null;
+  }
+
+  addChatMessage(message) {
+    const entry = {
+      id: randomUUID(),
+      sentAt: new Date().toISOString(),
+      ...message,
+    };
+    this.chatLog.push(entry);
+    if (this.chatLog.length > CHAT_SCROLLBACK) {
+      this.chatLog.splice(0, this.chatLog.length - CHAT_SCROLLBACK);
+    }
+    return entry;
+  }
+
+  get spectatorDelay() {
+    return this.config.spectatorDelay || 0;
+  }
+
+  usesDelayedFeed() {
+    return this.game.usesFog() && this.spectatorDelay > 0;
+  }
+
+  // Mémorise l'état courant pour le direct différé, en ne gardant que les
+  // images encore utiles pour le retard demandé
+  recordSpectatorFrame() {
+    if (!this.usesDelayedFeed()) {
+      this.spectatorFeed = [];
+      return;
+    }
+    const { matchId, turn } = this.game.state;
+    const seq = this.game.history.length;
+    const feed = this.spectatorFeed.filter(
+      (frame) => frame.snapshot.matchId === matchId && frame.seq !== seq
+    );
+    feed.push({ turn, seq, snapshot: this.game.getSnapshot() });
+    const cutoff = turn - this.spectatorDelay;
+    const firstUseful = feed.findIndex((frame) => frame.turn > cutoff);
+    this.spectatorFeed = feed.slice(Math.max(firstUseful - 1, 0));
+  }
+
+  /**
+   * Vue des spectateurs (et des joueurs éliminés sous le brouillard) : tout
+   * le plateau, en direct ou avec spectatorDelay tours de retard.
+   * `seq` = dernier événement du journal que cette vue peut montrer.
+   */
+  getSpectatorView() {
+    if (!this.usesDelayedFeed() || this.spectatorFeed.length === 0) {
+      return {
+        snapshot: this.game.getSnapshot(),
+        seq: this.game.history.length,
+      };
+    }
+    const cutoff = this.game.state.turn - this.spectatorDelay;
+    const frame =
+      this.spectatorFeed.filter((f) => f.turn <= cutoff).pop() ||
+      this.spectatorFeed[0];
+    return {
+      snapshot: { ...frame.snapshot, spectatorDelay: this.spectatorDelay },
+      seq: frame.seq,
+    };
+  }
+
+  dispose() {
+    this.clearHeldSeats();
+    this.clearTurnTimer();
+    this.clearBotTimer();
+  }
+
+  getSummary() {
+    const {
+      gameStatus,
+      players,
+      gridWidth,
+      gridHeight,
+      maxPlayers,
+      rules,
+      mapId,
+    } = this.game.state;
+    return {
+      id: this.id,
+      name: this.name,
+      status: gameStatus,
+      playerCount: players.length,
+      maxPlayers,
+      spectatorCount: Math.max(
+        this.clients.size - players.filter(hasSocket).length,
+        0
+      ),
+      gridWidth,
+      gridHeight,
+      turnDuration: this.config.turnDurationMs
+        ? this.config.turnDurationMs / 1000
+        : 0,
+      maxMissedTurns: this.config.maxMissedTurns,
+      spectatorDelay: this.spectatorDelay,
+      rulesPreset: rules.preset,
+      teamMode: rules.teamMode,
+      fogOfWar: rules.fogOfWar,
+      mapId,
+      createdAt: this.createdAt,
+    };
+  }
+}
+
+class RoomManager {
+  /**
+   * @param {object} [defaultConfig] configuration appliquée quand le créateur
+   *   du salon ne précise rien (voir GameStateManager)
+   */
+  constructor(defaultConfig = {}) {
+    this.defaultConfig = defaultConfig;
+    this.rooms = new Map();
+    this.createRoom({
+      id: DEFAULT_ROOM_ID,
+      name: DEFAULT_ROOM_NAME,
+      persistent: true,
+    });
+  }
+
+  createRoom({ id, name, persistent = false, ...settings } = {}) {
+    const roomName =
+      typeof name === "string" && name.trim().length > 0
+        ? name.trim()
+        : `Salon ${this.rooms.size + 1}`;
+    if (roomName.length > MAX_ROOM_NAME_LENGTH) {
+      throw new Error(
+        `Room name must be at most ${MAX_ROOM_NAME_LENGTH} characters.`
+      );
+    }
+    const config = parseRoomConfig(settings, this.defaultConfig);
+    const room = new Room({ id, name: roomName, persistent, config });
+    this.rooms.set(room.id, room);
+    return room;
+  }
+
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  getDefaultRoom() {
+    return this.rooms.get(DEFAULT_ROOM_ID);
+  }
+
+  listRooms({ status } = {}) {
+    return Array.from(this.rooms.values())
+      .filter((room) => !status || room.game.state.gameStatus === status)
+      .map((room) => room.getSummary());
+  }
+
+  findRoomWithHeldSeat(userId) {
+    if (!userId) return null;
+    return (
+      Array.from(this.rooms.values()).find((room) =>
+        room.heldSeats.has(userId)
+      ) || null
+    );
+  }
+
+  removeRoomIfEmpty(room) {
+    if (!room || room.persistent || !room.isEmpty()) return false;
+    room.dispose();
+    return this.rooms.delete(room.id);
+  }
+}
+
+module.exports = {
+  Room,
+  RoomManager,
+  DEFAULT_ROOM_ID,
+  MAX_ROOM_NAME_LENGTH,
+  MAX_CHAT_LENGTH,
+  parseChatText,
+};
@@ -0,0 +1,120 @@
+// server/rules.js
+const RULES_SCHEMA = require("./rules.schema.json");
+const { validateSchema } = require("./schema");
+
+const DEFAULT_RULES_PRESET = "classic";
+
+// Coûts par défaut, utilisés seulement quand actionPoints > 0
+const DEFAULT_ACTION_COSTS = { MOVE: 1, ATTACK: 2, PLACE_OBSTACLE: 1 };
+
+// Valeurs de référence : "classic" reprend les règles historiques du jeu
+const RULE_PRESETS = {
+  classic: {
+    playerHp: 10,
+    obstacleHp: 2,
+    obstacleStock: 3,
+    attackCost: 0,
+    attackDamage: 2,
+    moveRange: 3,
+    attackRange: 2,
+    actionPoints: 0,
+    actionCosts: DEFAULT_ACTION_COSTS,
+    diagonals: false,
+    healAmount: 2,
+    highGroundBonus: 1,
+    powerUpInterval: 0,
+    suddenDeathRound: 0,
+    shrinkInterval: 3,
+    hazardDamage: 2,
+    maxRounds: 0,
+    teamMode: false,
+    friendlyFire: false,
+    fogOfWar: false,
+    visionRange: 3,
+  },
+  blitz: {
+    playerHp: 6,
+    obstacleHp: 1,
+    obstacleStock: 2,
+    attackCost: 0,
+    attackDamage: 3,
+    moveRange: 4,
+    attackRange: 3,
+    actionPoints: 0,
+    actionCosts: DEFAULT_ACTION_COSTS,
+    diagonals: false,
+    healAmount: 2,
+    highGroundBonus: 1,
+    powerUpInterval: 2,
+    suddenDeathRound: 10,
+    shrinkInterval: 2,
+    hazardDamage: 3,
+    maxRounds: 30,
+    teamMode: false,
+    friendlyFire: false,
+    fogOfWar: false,
+    visionRange: 3,
+  },
+  // 3 points par tour : se déplacer puis attaquer dans le même tour
+  tactical: {
+    playerHp: 12,
+    obstacleHp: 2,
+    obstacleStock: 3,
+    attackCost: 0,
+    attackDamage: 2,
+    moveRange: 2,
+    attackRange: 2,
+    actionPoints: 3,
+    actionCosts: DEFAULT_ACTION_COSTS,
+    diagonals: false,
+    healAmount: 2,
+    highGroundBonus: 1,
+    powerUpInterval: 3,
+    suddenDeathRound: 15,
+    shrinkInterval: 3,
+    hazardDamage: 2,
+    maxRounds: 40,
+    teamMode: false,
+    friendlyFire: false,
+    fogOfWar: false,
+    visionRange: 3,
+  },
+};
+
+/**
+ * Règles complètes d'une partie à partir d'un nom de préréglage ou d'un objet
+ * { preset, ...surcharges }. Lève une erreur si le résultat ne respecte pas
+ * rules.schema.json.
+ */
+const resolveRules = (input = DEFAULT_RULES_PRESET) => {
+  const overrides = typeof input === "string" ? { preset: input } : input;
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error("Rules must be a preset name or an object.");
+  }
+  const preset = overrides.preset || DEFAULT_RULES_PRESET;
+  if (!RULE_PRESETS[preset]) {
+    throw new Error(
+      `Unknown rules preset "${preset}". Available: ${Object.keys(
+        RULE_PRESETS
+      ).join(", ")}.`
+    );
+  }
+
+  const base = RULE_PRESETS[preset];
+  const rules = { ...base, ...overrides, preset };
+  if (overrides.actionCosts && typeof overrides.actionCosts === "object") {
+    rules.actionCosts = { ...base.actionCosts, ...overrides.actionCosts };
+  }
+  const errors = validateSchema(RULES_SCHEMA, rules, "rules");
+  if (errors.length > 0) {
+    throw new Error(`Invalid rules: ${errors.join("; ")}.`);
+  }
+  return rules;
+};
+
+module.exports = {
+  DEFAULT_RULES_PRESET,
+  RULE_PRESETS,
+  RULES_SCHEMA,
+  resolveRules,
+};
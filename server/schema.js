@@ -0,0 +1,78 @@
+// server/schema.js
+// Validateur minimal pour le sous-ensemble de JSON Schema utilisé par le
+// serveur : type, enum, minimum/maximum, minLength/maxLength, required,
+// properties, additionalProperties, items.
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case "object":
+      return typeof value === "object" && value !== null && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+};
+
+/**
+ * Valide `value` contre `schema`.
+ * @returns {string[]} messages d'erreur, vide si la valeur est conforme
+ */
+const validateSchema = (schema, value, path = "value") => {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.some((type) => matchesType(type, value))) {
+    return [`${path} must be of type ${types.join(" or ")}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+  if (matchesType("object", value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(properties[key], value[key], `${path}.${key}`)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+  return errors;
+};
+
+module.exports = { validateSchema };
@@ -0,0 +1,72 @@
+// server/statePatch.js
+// Différence entre deux états de partie, au format JSON Patch (RFC 6902) :
+// seules les opérations add, remove et replace sont produites, avec des
+// chemins JSON Pointer (RFC 6901). Le client les rejoue dans l'ordre.
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// "~" et "/" sont échappés dans un segment de JSON Pointer
+const escapeSegment = (segment) =>
+  String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+
+const diffValue = (before, after, path, ops) => {
+  if (before === after) return;
+  if (Array.isArray(before) && Array.isArray(after)) {
+    diffArray(before, after, path, ops);
+    return;
+  }
+  if (isObject(before) && isObject(after)) {
+    diffObject(before, after, path, ops);
+    return;
+  }
+  ops.push({ op: "replace", path, value: after });
+};
+
+const diffObject = (before, after, path, ops) => {
+  Object.keys(before).forEach((key) => {
+    if (before[key] !== undefined && after[key] === undefined) {
+      ops.push({ op: "remove", path: `${path}/${escapeSegment(key)}` });
+    }
+  });
+  Object.keys(after).forEach((key) => {
+    if (after[key] === undefined) return;
+    const childPath = `${path}/${escapeSegment(key)}`;
+    if (before[key] === undefined) {
+      ops.push({ op: "add", path: childPath, value: after[key] });
+    } else {
+      diffValue(before[key], after[key], childPath, ops);
+    }
+  });
+};
+
+// Élément par élément sur la partie commune, puis ajouts en fin de tableau
+// ou suppressions depuis la fin : les indices restent valables d'une
+// opération à l'autre.
+const diffArray = (before, after, path, ops) => {
+  const common = Math.min(before.length, after.length);
+  for (let i = 0; i < common; i += 1) {
+    diffValue(before[i], after[i], `${path}/${i}`, ops);
+  }
+  for (let i = before.length - 1; i >= common; i -= 1) {
+    ops.push({ op: "remove", path: `${path}/${i}` });
+  }
+  for (let i = common; i < after.length; i += 1) {
+    ops.push({ op: "add", path: `${path}/-`, value: after[i] });
+  }
+};
+
+/**
+ * Opérations JSON Patch qui transforment `before` en `after`. Les deux
+ * valeurs doivent être sérialisables en JSON ; une clé à undefined compte
+ * comme absente.
+ * @returns {Array<{op: string, path: string, value?: *}>} vide si rien
+ *   n'a changé
+ */
+const diffState = (before, after) => {
+  const ops = [];
+  diffValue(before, after, "", ops);
+  return ops;
+};
+
+module.exports = { diffState };
@@ -0,0 +1,293 @@
+// server/storage.js
+
+// Ligne d'historique d'un joueur, même forme pour tous les stockages
+const toPlayerMatch = (match, participant) => ({
+  matchId: match.matchId,
+  roomName: match.roomName || null,
+  startedAt: match.startedAt,
+  finishedAt: match.finishedAt,
+  durationMs: match.durationMs,
+  turns: match.turns,
+  winnerPseudo: match.winnerPseudo,
+  placement: participant.placement,
+  ratingDelta: participant.ratingDelta ?? null,
+  finalHp: participant.finalHp,
+  isWinner: participant.isWinner,
+  damageDealt: participant.damageDealt,
+  obstaclesPlaced: participant.obstaclesPlaced,
+});
+
+const DEFAULT_RATING = 1000;
+const LEADERBOARD_SORTS = ["wins", "winRate", "rating"];
+
+const emptyStats = (userId) => ({
+  userId,
+  pseudo: null,
+  gamesPlayed: 0,
+  wins: 0,
+  winRate: 0,
+  rating: DEFAULT_RATING,
+  damageDealt: 0,
+  obstaclesPlaced: 0,
+});
+
+const computeWinRate = (wins, gamesPlayed) =>
+  gamesPlayed > 0 ? Math.round((wins / gamesPlayed) * 1000) / 1000 : 0;
+
+/**
+ * Interface de persistance des parties terminées et des statistiques joueurs.
+ * Seuls les participants authentifiés (userId non nul) ont des statistiques.
+ */
+class MatchStorage {
+  /**
+   * Enregistre le résultat d'une partie (voir GameStateManager#getMatchResult)
+   * et met à jour les agrégats de chaque joueur authentifié.
+   */
+  async saveMatch(match) {
+    throw new Error("saveMatch not implemented");
+  }
+
+  async getPlayerStats(userId) {
+    throw new Error("getPlayerStats not implemented");
+  }
+
+  async getPlayerMatches(userId, { limit = 20 } = {}) {
+    throw new Error("getPlayerMatches not implemented");
+  }
+
+  /**
+   * Classement paginé. sortBy ∈ LEADERBOARD_SORTS, tri décroissant.
+   * @returns {Promise<{ total: number, items: object[] }>}
+   */
+  async listPlayerStats({ sortBy = "wins", offset = 0, limit = 20 } = {}) {
+    throw new Error("listPlayerStats not implemented");
+  }
+}
+
+/**
+ * Stockage en mémoire, perdu au redémarrage. Sert en développement et dans
+ * les tests à la place de Supabase.
+ */
+class MemoryMatchStorage extends MatchStorage {
+  constructor() {
+    super();
+    this.matches = [];
+    this.stats = new Map();
+  }
+
+  async saveMatch(match) {
+    this.matches.push(JSON.parse(JSON.stringify(match)));
+    match.participants
+      .filter((participant) => participant.userId)
+      .forEach((participant) => {
+        const stats =
+          this.stats.get(participant.userId) || emptyStats(participant.userId);
+        stats.pseudo = participant.pseudo;
+        stats.gamesPlayed += 1;
+        stats.wins += participant.isWinner ? 1 : 0;
+        stats.winRate = computeWinRate(stats.wins, stats.gamesPlayed);
+        stats.damageDealt += participant.damageDealt;
+        stats.obstaclesPlaced += participant.obstaclesPlaced;
+        stats.rating = participant.ratingAfter ?? stats.rating;
+        this.stats.set(participant.userId, stats);
+      });
+  }
+
+  async getPlayerStats(userId) {
+    return { ...(this.stats.get(userId) || emptyStats(userId)) };
+  }
+
+  async getPlayerMatches(userId, { limit = 20 } = {}) {
+    return this.matches
+      .map((match) => {
+        const participant = match.participants.find(
+          (p) => p.userId === userId
+        );
+        return participant ? toPlayerMatch(match, participant) : null;
+      })
+      .filter(Boolean)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async listPlayerStats({ sortBy = "wins", offset = 0, limit = 20 } = {}) {
+    const items = Array.from(this.stats.values())
+      .map((stats) => ({ ...stats }))
+      .sort((a, b) => b[sortBy] - a[sortBy] || b.wins - a.wins);
+    return { total: items.length, items: items.slice(offset, offset + limit) };
+  }
+}
+
+/**
+ * Tables Supabase :
+ * - matches (id, room_name, started_at, finished_at, duration_ms, turns,
+ *   winner_user_id, winner_pseudo)
+ * - match_players (match_id, user_id, player_id, pseudo, couleur, final_hp,
+ *   placement, is_winner, damage_dealt, obstacles_placed, rating_delta,
+ *   finished_at)
+ * - player_stats (user_id, pseudo, games_played, wins, win_rate, rating,
+ *   damage_dealt, obstacles_placed, updated_at)
+ */
+const PLAYER_STATS_COLUMNS =
+  "user_id, pseudo, games_played, wins, win_rate, rating, damage_dealt, obstacles_placed";
+
+const STATS_SORT_COLUMNS = {
+  wins: "wins",
+  winRate: "win_rate",
+  rating: "rating",
+};
+
+const fromStatsRow = (row) => ({
+  userId: row.user_id,
+  pseudo: row.pseudo,
+  gamesPlayed: row.games_played,
+  wins: row.wins,
+  winRate: row.win_rate,
+  rating: row.rating ?? DEFAULT_RATING,
+  damageDealt: row.damage_dealt,
+  obstaclesPlaced: row.obstacles_placed,
+});
+
+class SupabaseMatchStorage extends MatchStorage {
+  // client chargé à la demande : le stockage en mémoire se passe de Supabase
+  constructor(client = require("../supabaseClient").supabase) {
+    super();
+    this.client = client;
+  }
+
+  async saveMatch(match) {
+    const winner = match.participants.find((p) => p.isWinner);
+
+    const { error: matchError } = await this.client.from("matches").insert({
+      id: match.matchId,
+      room_name: match.roomName || null,
+      started_at: match.startedAt,
+      finished_at: match.finishedAt,
+      duration_ms: match.durationMs,
+      turns: match.turns,
+      winner_user_id: winner ? winner.userId : null,
+      winner_pseudo: match.winnerPseudo,
+    });
+    if (matchError) {
+      throw new Error(`Failed to store match: ${matchError.message}`);
+    }
+
+    const { error: playersError } = await this.client
+      .from("match_players")
+      .insert(
+        match.participants.map((participant) => ({
+          match_id: match.matchId,
+          user_id: participant.userId,
+          player_id: participant.playerId,
+          pseudo: participant.pseudo,
+          couleur: participant.couleur,
+          final_hp: participant.finalHp,
+          placement: participant.placement,
+          is_winner: participant.isWinner,
+          damage_dealt: participant.damageDealt,
+          obstacles_placed: participant.obstaclesPlaced,
+          rating_delta: participant.ratingDelta ?? null,
+          finished_at: match.finishedAt,
+        }))
+      );
+    if (playersError) {
+      throw new Error(`Failed to store participants: ${playersError.message}`);
+    }
+
+    const authenticated = match.participants.filter((p) => p.userId);
+    for (const participant of authenticated) {
+      const stats = await this.getPlayerStats(participant.userId);
+      const gamesPlayed = stats.gamesPlayed + 1;
+      const wins = stats.wins + (participant.isWinner ? 1 : 0);
+      const { error } = await this.client.from("player_stats").upsert({
+        user_id: participant.userId,
+        pseudo: participant.pseudo,
+        games_played: gamesPlayed,
+        wins,
+        win_rate: computeWinRate(wins, gamesPlayed),
+        rating: participant.ratingAfter ?? stats.rating,
+        damage_dealt: stats.damageDealt + participant.damageDealt,
+        obstacles_placed: stats.obstaclesPlaced + participant.obstaclesPlaced,
+        updated_at: new Date().toISOString(),
+      });
+      if (error) {
+        throw new Error(`Failed to update player stats: ${error.message}`);
+      }
+    }
+  }
+
+  async getPlayerStats(userId) {
+    const { data, error } = await this.client
+      .from("player_stats")
+      .select(PLAYER_STATS_COLUMNS)
+      .eq("user_id", userId)
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load player stats: ${error.message}`);
+    }
+    return data ? fromStatsRow(data) : emptyStats(userId);
+  }
+
+  async listPlayerStats({ sortBy = "wins", offset = 0, limit = 20 } = {}) {
+    const { data, error, count } = await this.client
+      .from("player_stats")
+      .select(PLAYER_STATS_COLUMNS, { count: "exact" })
+      .order(STATS_SORT_COLUMNS[sortBy], { ascending: false })
+      .order("wins", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) {
+      throw new Error(`Failed to load leaderboard: ${error.message}`);
+    }
+    return { total: count || 0, items: data.map(fromStatsRow) };
+  }
+
+  async getPlayerMatches(userId, { limit = 20 } = {}) {
+    const { data, error } = await this.client
+      .from("match_players")
+      .select(
+        "match_id, placement, final_hp, is_winner, damage_dealt, obstacles_placed, rating_delta, matches (room_name, started_at, finished_at, duration_ms, turns, winner_pseudo)"
+      )
+      .eq("user_id", userId)
+      .order("finished_at", { ascending: false })
+      .limit(limit);
+    if (error) {
+      throw new Error(`Failed to load player matches: ${error.message}`);
+    }
+    return data.map((row) =>
+      toPlayerMatch(
+        {
+          matchId: row.match_id,
+          roomName: row.matches?.room_name,
+          startedAt: row.matches?.started_at,
+          finishedAt: row.matches?.finished_at,
+          durationMs: row.matches?.duration_ms,
+          turns: row.matches?.turns,
+          winnerPseudo: row.matches?.winner_pseudo,
+        },
+        {
+          placement: row.placement,
+          ratingDelta: row.rating_delta,
+          finalHp: row.final_hp,
+          isWinner: row.is_winner,
+          damageDealt: row.damage_dealt,
+          obstaclesPlaced: row.obstacles_placed,
+        }
+      )
+    );
+  }
+}
+
+// MATCH_STORAGE=memory pour se passer de Supabase (dev, tests)
+const createMatchStorage = () =>
+  process.env.MATCH_STORAGE === "memory"
+    ? new MemoryMatchStorage()
+    : new SupabaseMatchStorage();
+
+module.exports = {
+  DEFAULT_RATING,
+  LEADERBOARD_SORTS,
+  MatchStorage,
+  MemoryMatchStorage,
+  SupabaseMatchStorage,
+  createMatchStorage,
+};
@@ -23,6 +23,22 @@ const options = {
           bearerFormat: "JWT",
         },
       },
+      schemas: {
+        PlayerStats: {
+          type: "object",
+          properties: {
+            rank: { type: "integer", example: 1 },
+            userId: { type: "string", example: "uuid-1234" },
+            pseudo: { type: "string", example: "Cathy" },
+            gamesPlayed: { type: "integer", example: 12 },
+            wins: { type: "integer", example: 5 },
+            winRate: { type: "number", example: 0.417 },
+            rating: { type: "integer", example: 1042 },
+            damageDealt: { type: "integer", example: 86 },
+            obstaclesPlaced: { type: "integer", example: 21 },
+          },
+        },
+      },
     },
   },
   apis: ["./server/*.js"],
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { GameStateManager } = require("../server/gameState");
+const { resolveRules } = require("../server/rules");
+const { chooseBotAction } = require("../server/bots");
+
+// Duel sous le brouillard, vision 1 : A en (0,0), B caché en (0,3)
+const startFogDuel = (overrides = {}) => {
+  const game = new GameStateManager(undefined, {
+    rules: resolveRules({
+      preset: "classic",
+      fogOfWar: true,
+      visionRange: 1,
+      ...overrides,
+    }),
+  });
+  game.addPlayer({ pseudo: "A", color: "#112233" });
+  game.addPlayer({ pseudo: "B", color: "#332211" });
+  const [a, b] = game.state.players;
+  game.requestStart(game.state.hostId);
+  a.position = { x: 0, y: 0 };
+  b.position = { x: 0, y: 3 };
+  game.state.obstacles = [];
+  game.state.powerUps = [];
+  game.beginTurn(a.id);
+  return { game, a, b };
+};
+
+const columnZero = (targets) =>
+  targets.filter((t) => t.x === 0).map((t) => t.y);
+
+test("un adversaire caché ne creuse pas de trou dans les déplacements proposés", () => {
+  const { game, a } = startFogDuel();
+  assert.deepEqual(columnZero(game.getLegalTargets(a.id, "MOVE")), [1, 2]);
+  assert.deepEqual(
+    columnZero(game.getVisibleLegalActions(a.id).MOVE),
+    [1, 2, 3]
+  );
+});
+
+test("un obstacle caché n'empêche pas de proposer la case", () => {
+  const { game, a } = startFogDuel();
+  a.position = { x: 4, y: 4 };
+  game.state.obstacles.push({ id: "o1", ownerId: "x", position: { x: 4, y: 7 } });
+  const targets = game.getVisibleLegalActions(a.id).MOVE;
+  assert.ok(targets.some((t) => t.x === 4 && t.y === 7));
+  // l'état réel est intact après le calcul
+  assert.equal(game.state.obstacles.length, 1);
+  assert.equal(game.state.players.length, 2);
+});
+
+test("une erreur ne révèle pas un bloqueur hors de vue", () => {
+  const { game, a } = startFogDuel({ attackRange: 3 });
+  assert.throws(
+    () => game.executeMove(a.id, { x: 0, y: 3 }),
+    (error) => {
+      assert.equal(error.code, "PATH_BLOCKED");
+      assert.deepEqual(error.details, {});
+      return true;
+    }
+  );
+  game.state.obstacles.push({ id: "o1", ownerId: "x", position: { x: 0, y: 2 } });
+  assert.throws(
+    () => game.executeAttack(a.id, { x: 0, y: 3 }),
+    (error) => {
+      assert.equal(error.code, "LINE_OF_FIRE_BLOCKED");
+      assert.equal(error.details.blockedBy, undefined);
+      return true;
+    }
+  );
+});
+
+test("un bloqueur visible reste décrit dans l'erreur", () => {
+  const { game, a, b } = startFogDuel();
+  b.position = { x: 0, y: 1 };
+  assert.throws(
+    () => game.executeMove(a.id, { x: 0, y: 2 }),
+    (error) => {
+      assert.equal(error.code, "PATH_BLOCKED");
+      assert.deepEqual(error.details.blockedBy, {
+        type: "player",
+        id: b.id,
+        position: { x: 0, y: 1 },
+      });
+      return true;
+    }
+  );
+});
+
+test("un bot ne vise pas un adversaire qu'il ne voit pas", () => {
+  const { game, a, b } = startFogDuel({ attackRange: 3 });
+  b.position = { x: 0, y: 2 };
+  assert.notEqual(chooseBotAction(game, a.id, "hard").actionType, "ATTACK");
+  assert.equal(game.state.players.length, 2);
+
+  // à vue, la même position est attaquée
+  game.state.rules.fogOfWar = false;
+  assert.deepEqual(chooseBotAction(game, a.id, "hard"), {
+    actionType: "ATTACK",
+    target: { x: 0, y: 2 },
+  });
+});
+
+test("la graine et l'état du générateur ne sont pas diffusés", () => {
+  const { game, a } = startFogDuel();
+  for (const view of [game.getSnapshot(), game.getPlayerView(a.id)]) {
+    assert.equal(view.seed, undefined);
+    assert.equal(view.rngState, undefined);
+  }
+});
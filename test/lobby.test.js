@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { GameStateManager } = require("../server/gameState");
+
+// lobby de quatre places avec deux joueurs, A est l'hôte
+const createLobby = () => {
+  const game = new GameStateManager();
+  const a = game.addPlayer({ pseudo: "A", color: "#112233" });
+  const b = game.addPlayer({ pseudo: "B", color: "#445566" });
+  return { game, a, b };
+};
+
+test("un hôte déconnecté dans le lobby passe la main sans perdre sa place", () => {
+  const { game, a, b } = createLobby();
+  game.setPlayerConnected(a.id, false);
+  assert.equal(game.state.gameStatus, "Lobby");
+  assert.equal(game.state.hostId, b.id);
+  assert.deepEqual(game.state.players.map((p) => p.pseudo), ["A", "B"]);
+
+  game.setPlayerConnected(a.id, true);
+  assert.equal(game.state.hostId, b.id);
+});
+
+test("le lobby ne repart pas à zéro tant qu'une place est conservée", () => {
+  const { game, a, b } = createLobby();
+  game.setPlayerConnected(a.id, false);
+  game.removePlayer(b.id);
+  assert.deepEqual(game.state.players.map((p) => p.pseudo), ["A"]);
+  assert.equal(game.state.hostId, a.id);
+
+  // fin du délai de reconnexion : le lobby est vide
+  game.removePlayer(a.id);
+  assert.equal(game.state.players.length, 0);
+});
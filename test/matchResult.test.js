@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { GameStateManager } = require("../server/gameState");
+
+// partie à 4 lancée, zone dangereuse sur l'anneau extérieur
+const startHazardGame = () => {
+  const game = new GameStateManager();
+  ["A", "B", "C", "D"].forEach((pseudo) => {
+    game.addPlayer({ pseudo, color: "#112233" });
+  });
+  game.state.hazardLevel = 1;
+  return game;
+};
+
+const placements = (game) =>
+  Object.fromEntries(
+    game.getMatchResult().participants.map((p) => [p.pseudo, p.placement])
+  );
+
+const byPseudo = (game, pseudo) =>
+  game.state.players.find((p) => p.pseudo === pseudo);
+
+test("les joueurs éliminés par le même tick de zone sont ex aequo", () => {
+  const game = startHazardGame();
+  assert.equal(game.state.gameStatus, "InProgress");
+  byPseudo(game, "A").position = { x: 4, y: 4 };
+  byPseudo(game, "B").position = { x: 3, y: 4 };
+  byPseudo(game, "C").pdv = game.rules.hazardDamage;
+  byPseudo(game, "D").pdv = game.rules.hazardDamage;
+
+  game.applyHazard();
+  assert.equal(game.state.gameStatus, "InProgress");
+  assert.deepEqual(
+    game.state.players.map((p) => p.status),
+    ["Active", "Active", "Defeated", "Defeated"]
+  );
+
+  game.removePlayer(byPseudo(game, "B").id);
+  assert.equal(game.state.gameStatus, "Finished");
+  assert.deepEqual(placements(game), { A: 1, B: 2, C: 3, D: 3 });
+});
+
+test("un départage à égalité parfaite classe les survivants ex aequo", () => {
+  const game = startHazardGame();
+  game.state.players.forEach((player) => {
+    player.pdv = 1;
+  });
+  // la zone éliminerait tout le monde : on départage, sans vainqueur
+  game.applyHazard();
+  assert.equal(game.state.gameStatus, "Finished");
+  assert.equal(game.state.endReason, "hazard");
+  assert.deepEqual(placements(game), { A: 1, B: 1, C: 1, D: 1 });
+});
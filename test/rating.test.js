@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computeRatingChanges } = require("../server/rating");
+
+const deltas = (changes) =>
+  Object.fromEntries([...changes].map(([userId, { delta }]) => [userId, delta]));
+
+test("partie à 4 : le vainqueur gagne et la somme des variations est quasi nulle", () => {
+  const changes = computeRatingChanges([
+    { userId: "u1", placement: 1, rating: 1000 },
+    { userId: "u2", placement: 2, rating: 1000 },
+    { userId: "u3", placement: 3, rating: 1000 },
+    { userId: "u4", placement: 4, rating: 1000 },
+  ]);
+  assert.equal(changes.size, 4);
+  const { u1, u2, u3, u4 } = deltas(changes);
+  assert.ok(u1 > 0);
+  assert.ok(u4 < 0);
+  assert.ok(u1 > u2 && u2 > u3 && u3 > u4);
+  // les arrondis peuvent décaler la somme d'un point par joueur
+  assert.ok(Math.abs(u1 + u2 + u3 + u4) <= 2);
+  assert.deepEqual(changes.get("u1"), {
+    before: 1000,
+    after: 1000 + u1,
+    delta: u1,
+  });
+});
+
+test("une égalité de classement compte pour 0,5", () => {
+  // à Elo égal, un match nul ne fait rien bouger
+  assert.deepEqual(
+    deltas(
+      computeRatingChanges([
+        { userId: "u1", placement: 1, rating: 1000 },
+        { userId: "u2", placement: 1, rating: 1000 },
+      ])
+    ),
+    { u1: 0, u2: 0 }
+  );
+  // le mieux classé perd des points sur un nul contre plus faible
+  const { strong, weak } = deltas(
+    computeRatingChanges([
+      { userId: "strong", placement: 2, rating: 1200 },
+      { userId: "weak", placement: 2, rating: 1000 },
+    ])
+  );
+  assert.ok(strong < 0);
+  assert.equal(weak, -strong);
+});
+
+test("moins de deux joueurs classés : aucune variation", () => {
+  assert.equal(computeRatingChanges([]).size, 0);
+  assert.equal(
+    computeRatingChanges([{ userId: "u1", placement: 1, rating: 1000 }]).size,
+    0
+  );
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { diffState } = require("../server/statePatch");
+const {
+  applyStatePatch,
+  applyVersionedPatch,
+} = require("../public/statePatch");
+
+const player = (id, x, y) => ({
+  id,
+  pseudo: id.toUpperCase(),
+  pdv: 10,
+  position: { x, y },
+  effects: [],
+});
+
+const baseState = () => ({
+  gameStatus: "InProgress",
+  turn: 3,
+  rules: { preset: "classic", fogOfWar: false },
+  winner: null,
+  players: [player("a", 0, 0), player("b", 8, 8), player("c", 0, 8)],
+  obstacles: [{ id: "o1", ownerId: "a", pdv: 2, position: { x: 1, y: 0 } }],
+  powerUps: [],
+});
+
+const roundTrip = (before, after) => {
+  const patch = diffState(before, after);
+  assert.deepEqual(applyStatePatch(before, patch), after);
+  return patch;
+};
+
+test("un état inchangé ne produit aucune opération", () => {
+  assert.deepEqual(diffState(baseState(), baseState()), []);
+});
+
+test("ajouts et suppressions dans les tableaux", () => {
+  const before = baseState();
+  const after = baseState();
+  after.players.splice(1, 1);
+  after.obstacles.push({
+    id: "o2",
+    ownerId: "c",
+    pdv: 2,
+    position: { x: 0, y: 7 },
+  });
+  after.powerUps.push({ id: "p1", type: "heal", position: { x: 4, y: 4 } });
+  roundTrip(before, after);
+  // et dans l'autre sens
+  roundTrip(after, before);
+
+  const emptied = baseState();
+  emptied.players = [];
+  emptied.obstacles = [];
+  roundTrip(before, emptied);
+});
+
+test("objets imbriqués et clés retirées", () => {
+  const before = baseState();
+  before.players[0].effects.push({ type: "shield", turnsLeft: 2 });
+  before.turnEndsAt = "2026-01-01T10:00:00.000Z";
+  const after = baseState();
+  after.players[0].position = { x: 3, y: 0 };
+  after.players[2].pdv = 4;
+  after.rules.fogOfWar = true;
+  after.winner = "A";
+  // clé retirée et clé à undefined (absente du JSON envoyé)
+  delete after.powerUps;
+  after.hidden = undefined;
+  const patch = roundTrip(before, JSON.parse(JSON.stringify(after)));
+  assert.ok(patch.some((op) => op.op === "remove" && op.path === "/powerUps"));
+  assert.ok(
+    patch.some(
+      (op) => op.op === "replace" && op.path === "/players/0/position/x"
+    )
+  );
+});
+
+test("les segments de chemin sont échappés", () => {
+  const before = { "a/b": { "c~d": 1 } };
+  const after = { "a/b": { "c~d": 2 } };
+  assert.deepEqual(diffState(before, after), [
+    { op: "replace", path: "/a~1b/c~0d", value: 2 },
+  ]);
+  roundTrip(before, after);
+});
+
+test("un patch ne s'applique qu'à sa version de base", () => {
+  const before = baseState();
+  const after = baseState();
+  after.turn = 4;
+  const message = {
+    baseVersion: 7,
+    version: 8,
+    patch: diffState(before, after),
+  };
+
+  const next = applyVersionedPatch({ state: before, version: 7 }, message);
+  assert.deepEqual(next, { state: after, version: 8 });
+  // l'état courant n'est pas modifié en place
+  assert.equal(before.turn, 3);
+
+  // message manqué : la version locale n'est pas la base du patch
+  assert.equal(
+    applyVersionedPatch({ state: before, version: 6 }, message),
+    null
+  );
+  // pas encore d'état complet
+  assert.equal(
+    applyVersionedPatch({ state: null, version: null }, message),
+    null
+  );
+});
+
+test("un patch illisible impose un nouvel état complet", (t) => {
+  t.mock.method(console, "error", () => {});
+  const current = { state: baseState(), version: 2 };
+  const broken = {
+    baseVersion: 2,
+    version: 3,
+    patch: [{ op: "replace", path: "/missing/0", value: 1 }],
+  };
+  assert.equal(applyVersionedPatch(current, broken), null);
+  const badIndex = {
+    baseVersion: 2,
+    version: 3,
+    patch: [{ op: "add", path: "/players/9", value: {} }],
+  };
+  assert.equal(applyVersionedPatch(current, badIndex), null);
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DEFAULT_RATING, MemoryMatchStorage } = require("../server/storage");
+
+// résultat de partie au format GameStateManager#getMatchResult
+const createMatch = (matchId, participants) => ({
+  matchId,
+  roomName: "Salon principal",
+  startedAt: "2026-01-01T10:00:00.000Z",
+  finishedAt: "2026-01-01T10:05:00.000Z",
+  durationMs: 300000,
+  turns: 12,
+  winnerPseudo: participants.find((p) => p.isWinner).pseudo,
+  participants: participants.map((participant) => ({
+    playerId: `${participant.userId || "bot"}-${matchId}`,
+    couleur: "#112233",
+    finalHp: participant.isWinner ? 6 : 0,
+    damageDealt: 0,
+    obstaclesPlaced: 0,
+    ...participant,
+  })),
+});
+
+// place au classement final ; la première est celle du vainqueur
+const seat = (userId, pseudo, placement, stats = {}) => ({
+  userId,
+  pseudo,
+  placement,
+  isWinner: placement === 1,
+  ...stats,
+});
+
+const saveTwoMatches = async () => {
+  const storage = new MemoryMatchStorage();
+  await storage.saveMatch(
+    createMatch("m1", [
+      seat("alice", "Alice", 1, {
+        damageDealt: 6,
+        obstaclesPlaced: 2,
+        ratingAfter: 1016,
+        ratingDelta: 16,
+      }),
+      seat("bob", "Bob", 2, {
+        damageDealt: 4,
+        obstaclesPlaced: 1,
+        ratingAfter: 984,
+        ratingDelta: -16,
+      }),
+      // un bot n'a pas de statistiques
+      seat(null, "Bot 3 (easy)", 3),
+    ])
+  );
+  await storage.saveMatch(
+    createMatch("m2", [
+      seat("bob", "Bobby", 1, {
+        damageDealt: 8,
+        ratingAfter: 1001,
+        ratingDelta: 17,
+      }),
+      seat("alice", "Alice", 2, {
+        damageDealt: 2,
+        obstaclesPlaced: 3,
+        ratingAfter: 999,
+        ratingDelta: -17,
+      }),
+    ])
+  );
+  return storage;
+};
+
+test("saveMatch cumule les statistiques des joueurs authentifiés", async () => {
+  const storage = await saveTwoMatches();
+  assert.deepEqual(await storage.getPlayerStats("alice"), {
+    userId: "alice",
+    pseudo: "Alice",
+    gamesPlayed: 2,
+    wins: 1,
+    winRate: 0.5,
+    rating: 999,
+    damageDealt: 8,
+    obstaclesPlaced: 5,
+  });
+  const bob = await storage.getPlayerStats("bob");
+  assert.equal(bob.pseudo, "Bobby");
+  assert.equal(bob.damageDealt, 12);
+  assert.equal(bob.obstaclesPlaced, 1);
+
+  const unknown = await storage.getPlayerStats("carol");
+  assert.equal(unknown.gamesPlayed, 0);
+  assert.equal(unknown.rating, DEFAULT_RATING);
+});
+
+test("listPlayerStats trie et pagine le classement", async () => {
+  const storage = await saveTwoMatches();
+  const byRating = await storage.listPlayerStats({ sortBy: "rating" });
+  assert.equal(byRating.total, 2);
+  assert.deepEqual(
+    byRating.items.map((stats) => [stats.userId, stats.rating]),
+    [["bob", 1001], ["alice", 999]]
+  );
+  const page = await storage.listPlayerStats({ offset: 1, limit: 1 });
+  assert.equal(page.total, 2);
+  assert.equal(page.items.length, 1);
+});
+
+test("getPlayerMatches liste les parties du joueur, la plus récente d'abord", async () => {
+  const storage = await saveTwoMatches();
+  const matches = await storage.getPlayerMatches("alice");
+  assert.deepEqual(
+    matches.map((match) => [match.matchId, match.placement, match.ratingDelta]),
+    [["m2", 2, -17], ["m1", 1, 16]]
+  );
+  assert.equal(matches[1].isWinner, true);
+  assert.equal(matches[1].winnerPseudo, "Alice");
+  const latest = await storage.getPlayerMatches("alice", { limit: 1 });
+  assert.equal(latest.length, 1);
+  assert.deepEqual(await storage.getPlayerMatches("carol"), []);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { GameStateManager } = require("../server/gameState");
+const { resolveRules } = require("../server/rules");
+
+// 2 contre 2 : la partie démarre seule quand le lobby est complet
+const startTeamGame = () => {
+  const game = new GameStateManager(undefined, {
+    rules: resolveRules({ preset: "classic", teamMode: true }),
+  });
+  [
+    ["r1", "red"],
+    ["b1", "blue"],
+    ["r2", "red"],
+    ["b2", "blue"],
+  ].forEach(([pseudo, team]) => {
+    game.addPlayer({ pseudo, color: "#112233", team });
+  });
+  return game;
+};
+
+const pseudoOf = (game, id) => game.state.players.find((p) => p.id === id).pseudo;
+
+const playTurns = (game, count) => {
+  const turns = [];
+  for (let i = 0; i < count; i += 1) {
+    turns.push(pseudoOf(game, game.state.currentPlayerTurn));
+    game.advanceTurn();
+  }
+  return turns;
+};
+
+test("les équipes alternent à chaque tour", () => {
+  const game = startTeamGame();
+  assert.equal(game.state.gameStatus, "InProgress");
+  assert.deepEqual(playTurns(game, 8), [
+    "r1", "b1", "r2", "b2",
+    "r1", "b1", "r2", "b2",
+  ]);
+});
+
+test("une équipe réduite à un joueur joue autant de tours que l'autre", () => {
+  const game = startTeamGame();
+  playTurns(game, 4);
+  const b2 = game.state.players.find((p) => p.pseudo === "b2");
+  game.removePlayer(b2.id);
+  // fin de la manche en cours, puis manches recalculées sans b2
+  playTurns(game, 3);
+  const round = game.state.round;
+  const turns = playTurns(game, 8);
+  assert.equal(game.state.round, round + 2);
+  assert.deepEqual(turns, [
+    "b1", "r1", "b1", "r2",
+    "b1", "r1", "b1", "r2",
+  ]);
+  const teamOf = (pseudo) => pseudo[0];
+  turns.slice(1).forEach((pseudo, i) => {
+    assert.notEqual(teamOf(pseudo), teamOf(turns[i]));
+  });
+});